@@ -0,0 +1,178 @@
+// ============================================================================
+// KRP ACADEMY - WHATSAPP API (STATELESS)
+// File: api.js
+// ============================================================================
+
+// HTTP front end that keeps no WhatsApp state, so it can be scaled out or
+// deployed serverless. The WhatsApp sessions live in the worker (server.js);
+// /send and /status are forwarded to it over its local socket (WORKER_SOCKET)
+// or, when the worker runs on another host, over HTTP (WORKER_URL). API keys
+// are checked by the worker.
+
+const express = require('express');
+const cors = require('cors');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Where the worker listens: its socket (same host) or its HTTP address
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const WORKER_SOCKET = process.env.WORKER_SOCKET || path.join(DATA_DIR, 'worker.sock');
+const WORKER_URL = process.env.WORKER_URL || '';
+
+// How long to wait for the worker (a /send may wait for WhatsApp to answer)
+const WORKER_TIMEOUT_MS = parseInt(process.env.WORKER_TIMEOUT_MS, 10) || 60000;
+const WORKER_HEALTH_TIMEOUT_MS = 5000;
+
+// Browser origins allowed to call the API (comma separated, "*" for any)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// Routes the worker answers through this API; the session ones also work
+// under /sessions/:sessionId
+const WORKER_SESSION_ROUTES = ['/status', '/send'];
+const WORKER_ROUTES = [...WORKER_SESSION_ROUTES, '/messages/:id', '/media/:id'];
+
+// Connection errors that mean nothing is listening on the worker's address
+const WORKER_OFFLINE_CODES = ['ECONNREFUSED', 'ENOENT', 'EHOSTUNREACH', 'ENOTFOUND'];
+
+// Headers that describe this hop rather than the request
+const HOP_HEADERS = ['host', 'connection', 'keep-alive', 'transfer-encoding', 'upgrade'];
+
+app.use(cors({
+  origin: (origin, callback) => {
+    // Requests without an Origin header (server-to-server, curl) are not CORS requests
+    callback(null, !origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin));
+  }
+}));
+
+// ============================================================================
+// WORKER CHANNEL
+// ============================================================================
+
+function describeWorker() {
+  return WORKER_URL || `unix:${WORKER_SOCKET}`;
+}
+
+// Request options for a path on the worker
+function workerRequestOptions(pathname, { method = 'GET', headers = {}, timeout = WORKER_TIMEOUT_MS } = {}) {
+  if (!WORKER_URL) {
+    return { transport: http, options: { socketPath: WORKER_SOCKET, path: pathname, method, headers, timeout } };
+  }
+
+  const url = new URL(pathname, WORKER_URL);
+  return {
+    transport: url.protocol === 'https:' ? https : http,
+    options: { protocol: url.protocol, hostname: url.hostname, port: url.port, path: url.pathname + url.search, method, headers, timeout }
+  };
+}
+
+function sendWorkerError(res, error) {
+  if (error.code === 'ETIMEDOUT') {
+    return res.status(504).json({
+      success: false,
+      error: 'The WhatsApp worker did not answer in time',
+      worker: 'timeout'
+    });
+  }
+  if (WORKER_OFFLINE_CODES.includes(error.code)) {
+    return res.status(503).json({
+      success: false,
+      error: 'The WhatsApp worker is offline; start it with "npm run worker"',
+      worker: 'offline'
+    });
+  }
+  res.status(502).json({ success: false, error: `WhatsApp worker error: ${error.message}`, worker: 'error' });
+}
+
+// Stream the request to the worker and its answer back to the caller
+function forwardToWorker(req, res) {
+  const headers = { ...req.headers, 'x-forwarded-for': req.ip };
+  for (const name of HOP_HEADERS) delete headers[name];
+
+  const { transport, options } = workerRequestOptions(req.originalUrl, { method: req.method, headers });
+  const workerReq = transport.request(options, (workerRes) => {
+    const responseHeaders = { ...workerRes.headers };
+    for (const name of HOP_HEADERS) delete responseHeaders[name];
+    res.status(workerRes.statusCode).set(responseHeaders);
+    workerRes.pipe(res);
+  });
+
+  workerReq.on('timeout', () => {
+    const error = new Error('Worker timed out');
+    error.code = 'ETIMEDOUT';
+    workerReq.destroy(error);
+  });
+  workerReq.on('error', (error) => {
+    console.error(`❌ Worker request ${req.method} ${req.originalUrl} failed:`, error.message);
+    if (res.headersSent) return res.destroy();
+    sendWorkerError(res, error);
+  });
+
+  req.pipe(workerReq);
+}
+
+// The worker's /health, or null when it can't be reached
+function checkWorker() {
+  return new Promise((resolve) => {
+    const { transport, options } = workerRequestOptions('/health', { timeout: WORKER_HEALTH_TIMEOUT_MS });
+    const workerReq = transport.request(options, (workerRes) => {
+      let body = '';
+      workerRes.setEncoding('utf8');
+      workerRes.on('data', chunk => { body += chunk; });
+      workerRes.on('end', () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          resolve(null);
+        }
+      });
+    });
+    workerReq.on('timeout', () => workerReq.destroy(new Error('Worker timed out')));
+    workerReq.on('error', () => resolve(null));
+    workerReq.end();
+  });
+}
+
+// ============================================================================
+// API ROUTES
+// ============================================================================
+
+// Health Check (this API is up; "worker" says whether WhatsApp is reachable)
+app.get('/health', async (req, res) => {
+  const worker = await checkWorker();
+  res.status(worker ? 200 : 503).json({
+    status: worker ? 'ok' : 'degraded',
+    worker: worker ? 'online' : 'offline',
+    whatsapp: worker ? worker.whatsapp : false,
+    sessions: worker ? worker.sessions : {},
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.all(WORKER_ROUTES, forwardToWorker);
+app.all(WORKER_SESSION_ROUTES.map(route => `/sessions/:sessionId${route}`), forwardToWorker);
+
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: `${req.method} ${req.path} is not available on the API; use the worker for it`,
+    routes: WORKER_ROUTES
+  });
+});
+
+// ============================================================================
+// START SERVER
+// ============================================================================
+
+// Serverless platforms (vercel.json) import the app; "npm run api" listens
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 API running on http://localhost:${PORT}`);
+    console.log(`🔌 Forwarding ${WORKER_ROUTES.join(', ')} to the worker at ${describeWorker()}`);
+  });
+}
+
+module.exports = app;
@@ -4,351 +4,6881 @@
 // ============================================================================
 
 const express = require('express');
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia, Poll, Location } = require('whatsapp-web.js');
 const puppeteer = require('puppeteer');
 const qrcode = require('qrcode');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const multer = require('multer');
+const Database = require('better-sqlite3');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+const { CronExpressionParser } = require('cron-parser');
+const { DateTime } = require('luxon');
+const promClient = require('prom-client');
+const EventEmitter = require('events');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+app.use(cors({ origin: isAllowedOrigin }));
+app.use(bodyParser.json({
+  limit: '25mb',
+  // Cloud API webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.url.startsWith('/cloud-api/')) req.rawBody = buf;
+  }
+}));
+app.use(bodyParser.urlencoded({ extended: false }));
+
+// Requests over the worker socket come from api.js, which passes the caller's
+// address in X-Forwarded-For; the socket peer has no address of its own.
+// Requests on the HTTP port keep their real remote address.
+app.set('trust proxy', (address, hop) => hop === 0 && !address);
+
+// WhatsApp Sessions (one client per number, keyed by session id)
+const sessions = new Map();
+
+// Session used by the routes that don't name one (/send, /status, ...)
+const DEFAULT_SESSION_ID = process.env.DEFAULT_SESSION_ID || 'default';
+
+// Messaging transport: "webjs" (whatsapp-web.js in Chromium, linked by QR),
+// "cloud" (Meta WhatsApp Business Cloud API) or "mock" (in memory, for tests)
+const WHATSAPP_TRANSPORT = (process.env.WHATSAPP_TRANSPORT || 'webjs').toLowerCase();
+
+// Cloud API credentials; the webhook at /cloud-api/webhook is verified with
+// CLOUD_API_VERIFY_TOKEN (subscription) and CLOUD_API_APP_SECRET (signatures)
+const CLOUD_API_BASE_URL = process.env.CLOUD_API_BASE_URL || 'https://graph.facebook.com/v21.0';
+const CLOUD_API_TOKEN = process.env.CLOUD_API_TOKEN || '';
+const CLOUD_API_PHONE_NUMBER_ID = process.env.CLOUD_API_PHONE_NUMBER_ID || '';
+const CLOUD_API_VERIFY_TOKEN = process.env.CLOUD_API_VERIFY_TOKEN || '';
+const CLOUD_API_APP_SECRET = process.env.CLOUD_API_APP_SECRET || '';
+
+// Google Apps Script URL (Update this after deploying your script)
+const GOOGLE_SCRIPT_URL = process.env.GOOGLE_SCRIPT_URL || 'https://script.google.com/macros/s/AKfycbw0Oh6ds0OaYon7I8G5n58Fjv-eTki2SzQKvJE6chMVGtbQtCYLhi-G5PlASfNQui0/exec';
+
+// Public address of this server (e.g. https://wa.example.com), used for the
+// /media links given to the processor and kept in message history; without
+// it there are no links
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+// Signs those links so the processor can fetch media without an API key.
+// A random secret is kept in DATA_DIR when it is unset.
+const MEDIA_LINK_SECRET = process.env.MEDIA_LINK_SECRET || '';
+const MEDIA_LINK_TTL_MS = (parseInt(process.env.MEDIA_LINK_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Browser origins allowed to call the API (comma separated, "*" for any)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// Outgoing webhook delivery policy
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_LOG_LIMIT = 1000;
+
+// How long delivery/read receipts are kept for sent messages
+const MESSAGE_RETENTION_MS = (parseInt(process.env.MESSAGE_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// Connection supervisor: reconnect backoff and Chromium watchdog
+const RECONNECT_BASE_MS = parseInt(process.env.RECONNECT_BASE_MS, 10) || 5000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS, 10) || 10;
+const WATCHDOG_INTERVAL_MS = parseInt(process.env.WATCHDOG_INTERVAL_MS, 10) || 60000;
+const WATCHDOG_PROBE_TIMEOUT_MS = parseInt(process.env.WATCHDOG_PROBE_TIMEOUT_MS, 10) || 20000;
+const WATCHDOG_MAX_FAILED_PROBES = 3;
+const INITIALIZE_TIMEOUT_MS = 3 * 60 * 1000;
+const CHROMIUM_MAX_MEMORY_MB = parseInt(process.env.CHROMIUM_MAX_MEMORY_MB, 10) || 1024;
+
+// Inbound message durability and Apps Script circuit breaker
+const PROCESSOR_TIMEOUT_MS = parseInt(process.env.PROCESSOR_TIMEOUT_MS, 10) || 30000;
+const PROCESSOR_CIRCUIT_THRESHOLD = parseInt(process.env.PROCESSOR_CIRCUIT_THRESHOLD, 10) || 5;
+const PROCESSOR_CIRCUIT_RESET_MS = parseInt(process.env.PROCESSOR_CIRCUIT_RESET_MS, 10) || 60000;
+const INBOX_REPLAY_INTERVAL_MS = parseInt(process.env.INBOX_REPLAY_INTERVAL_MS, 10) || 30000;
+const INBOX_MAX_ATTEMPTS = parseInt(process.env.INBOX_MAX_ATTEMPTS, 10) || 10;
+const INBOX_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Bootstrap admin key; manage the rest through /api-keys
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+
+// Web dashboard: bootstrap login (manage the rest through /dashboard/users),
+// how long a login lasts and the lockout after repeated wrong passwords
+const DASHBOARD_USERNAME = process.env.DASHBOARD_USERNAME || 'admin';
+const DASHBOARD_PASSWORD = process.env.DASHBOARD_PASSWORD || '';
+const DASHBOARD_SESSION_MS = (parseInt(process.env.DASHBOARD_SESSION_HOURS, 10) || 12) * 60 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Local storage for campaigns and other server state
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Local socket the stateless API (api.js) forwards /send and /status to
+const WORKER_SOCKET = process.env.WORKER_SOCKET || path.join(DATA_DIR, 'worker.sock');
+
+// Minimum gap between any two messages sent from a number (ms)
+const BULK_SEND_DELAY_MS = parseInt(process.env.BULK_SEND_DELAY_MS, 10) || 2000;
+
+// Outbound rate governor: caps per number, random extra gap, back-off after
+// repeated failures and a window that drops repeats of the same message
+const SEND_LIMIT_PER_MINUTE = parseInt(process.env.SEND_LIMIT_PER_MINUTE, 10) || 20;
+const SEND_LIMIT_PER_HOUR = parseInt(process.env.SEND_LIMIT_PER_HOUR, 10) || 400;
+const SEND_LIMIT_PER_DAY = parseInt(process.env.SEND_LIMIT_PER_DAY, 10) || 1500;
+const SEND_JITTER_MS = parseInt(process.env.SEND_JITTER_MS, 10) || 3000;
+const SEND_SLOWDOWN_AFTER_FAILURES = parseInt(process.env.SEND_SLOWDOWN_AFTER_FAILURES, 10) || 3;
+const SEND_SLOWDOWN_MAX_MS = 5 * 60 * 1000;
+const DUPLICATE_WINDOW_MS = (parseInt(process.env.DUPLICATE_WINDOW_MINUTES, 10) || 60) * 60 * 1000;
+
+// Scheduled messages: default timezone, how often due schedules are checked
+// and how late a run may start before it counts as missed
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'Asia/Kolkata';
+const SCHEDULE_TICK_MS = parseInt(process.env.SCHEDULE_TICK_MS, 10) || 15000;
+const SCHEDULE_MISSED_GRACE_MS = (parseInt(process.env.SCHEDULE_MISSED_GRACE_MINUTES, 10) || 10) * 60 * 1000;
+const SCHEDULE_RUN_HISTORY = 100;
+
+// Outbound queue retry policy for /send
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 5;
+const OUTBOX_RETRY_BASE_MS = parseInt(process.env.OUTBOX_RETRY_BASE_MS, 10) || 5000;
+const OUTBOX_RETRY_MAX_MS = 10 * 60 * 1000;
+const OUTBOX_SENT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Phone numbers without a country code are read as this country (ISO code)
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'IN').toUpperCase();
+
+// How long "is this number on WhatsApp" answers are cached
+const NUMBER_CHECK_CACHE_MS = (parseInt(process.env.NUMBER_CHECK_CACHE_HOURS, 10) || 24) * 60 * 60 * 1000;
+const NUMBER_CHECK_MISS_CACHE_MS = 60 * 60 * 1000;
+const CONTACT_CHECK_MAX = 500;
+
+// Outbound media limits (WhatsApp rejects most media above 16 MB)
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES, 10) || 16 * 1024 * 1024;
+const MEDIA_ALLOWED_TYPES = (process.env.MEDIA_ALLOWED_TYPES || [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'video/mp4',
+  'audio/mpeg',
+  'audio/ogg'
+].join(',')).split(',').map(t => t.trim());
+
+// Incoming media: size cap, allowed types ("image/*" allows every image type)
+// and how long downloaded files are kept
+const INBOUND_MEDIA_MAX_BYTES = parseInt(process.env.INBOUND_MEDIA_MAX_BYTES, 10) || MEDIA_MAX_BYTES;
+const INBOUND_MEDIA_ALLOWED_TYPES = (process.env.INBOUND_MEDIA_ALLOWED_TYPES || [
+  'image/*',
+  'audio/*',
+  'video/*',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/plain'
+].join(',')).split(',').map(t => t.trim());
+const INBOUND_MEDIA_RETENTION_MS = (parseInt(process.env.INBOUND_MEDIA_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+function readDataFile(name, fallback) {
+  const file = path.join(DATA_DIR, name);
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Error reading ${name}:`, error.message);
+    return fallback;
+  }
+}
+
+function writeDataFile(name, data) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const file = path.join(DATA_DIR, name);
+    // Write to a temp file first so a crash never leaves half-written JSON
+    fs.writeFileSync(file + '.tmp', JSON.stringify(data, null, 2));
+    fs.renameSync(file + '.tmp', file);
+  } catch (error) {
+    console.error(`❌ Error writing ${name}:`, error.message);
+  }
+}
+
+function generateId(prefix) {
+  return prefix + '_' + Date.now().toString(36) + crypto.randomBytes(4).toString('hex');
+}
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+// Prometheus metrics for GET /metrics. Counters are bumped where things
+// happen; session, queue and campaign gauges are read at scrape time.
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+  messagesSent: new promClient.Counter({
+    name: 'krp_messages_sent_total',
+    help: 'Messages sent, by session and source (send, reply, bulk, schedule)',
+    labelNames: ['session', 'source'],
+    registers: [metricsRegistry]
+  }),
+  messagesFailed: new promClient.Counter({
+    name: 'krp_messages_failed_total',
+    help: 'Failed send attempts, by session and source',
+    labelNames: ['session', 'source'],
+    registers: [metricsRegistry]
+  }),
+  messagesRejected: new promClient.Counter({
+    name: 'krp_messages_rejected_total',
+    help: 'Queued messages dropped without sending, by reason',
+    labelNames: ['session', 'reason'],
+    registers: [metricsRegistry]
+  }),
+  inboundMessages: new promClient.Counter({
+    name: 'krp_inbound_messages_total',
+    help: 'Messages received',
+    labelNames: ['session'],
+    registers: [metricsRegistry]
+  }),
+  processorRequests: new promClient.Counter({
+    name: 'krp_processor_requests_total',
+    help: 'Messages forwarded to Apps Script, by outcome (success, error, circuit_open)',
+    labelNames: ['outcome'],
+    registers: [metricsRegistry]
+  }),
+  processorDuration: new promClient.Histogram({
+    name: 'krp_processor_request_duration_seconds',
+    help: 'Apps Script response time',
+    labelNames: ['outcome'],
+    buckets: [0.25, 0.5, 1, 2, 5, 10, 30],
+    registers: [metricsRegistry]
+  }),
+  reconnects: new promClient.Counter({
+    name: 'krp_session_reconnects_total',
+    help: 'Reconnect attempts after a disconnect or failure',
+    labelNames: ['session'],
+    registers: [metricsRegistry]
+  }),
+  restarts: new promClient.Counter({
+    name: 'krp_session_restarts_total',
+    help: 'Client restarts (reconnects, watchdog and manual restarts)',
+    labelNames: ['session'],
+    registers: [metricsRegistry]
+  }),
+  qrCodes: new promClient.Counter({
+    name: 'krp_qr_codes_total',
+    help: 'QR codes generated for linking',
+    labelNames: ['session'],
+    registers: [metricsRegistry]
+  })
+};
+
+new promClient.Gauge({
+  name: 'krp_uptime_seconds',
+  help: 'Seconds since the server started',
+  registers: [metricsRegistry],
+  collect() {
+    this.set(process.uptime());
+  }
+});
+
+new promClient.Gauge({
+  name: 'krp_session_connected',
+  help: '1 when the WhatsApp number is connected',
+  labelNames: ['session'],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const session of sessions.values()) {
+      this.set({ session: session.id }, session.isReady ? 1 : 0);
+    }
+  }
+});
+
+new promClient.Gauge({
+  name: 'krp_session_state',
+  help: 'Current connection state of each session (always 1)',
+  labelNames: ['session', 'state'],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const session of sessions.values()) {
+      this.set({ session: session.id, state: session.state }, 1);
+    }
+  }
+});
+
+new promClient.Gauge({
+  name: 'krp_session_state_duration_seconds',
+  help: 'Seconds the session has been in its current state (connection uptime when ready)',
+  labelNames: ['session'],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const session of sessions.values()) {
+      this.set({ session: session.id }, (Date.now() - Date.parse(session.stateChangedAt)) / 1000);
+    }
+  }
+});
+
+new promClient.Gauge({
+  name: 'krp_chromium_memory_bytes',
+  help: 'Resident memory of the Chromium process behind each session',
+  labelNames: ['session'],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const session of sessions.values()) {
+      const memoryMB = session.transport && session.transport.getMemoryMB();
+      if (memoryMB) this.set({ session: session.id }, memoryMB * 1024 * 1024);
+    }
+  }
+});
+
+new promClient.Gauge({
+  name: 'krp_processor_circuit_open',
+  help: '1 while the Apps Script circuit breaker is open',
+  registers: [metricsRegistry],
+  collect() {
+    this.set(processorCircuit.state === 'open' ? 1 : 0);
+  }
+});
+
+new promClient.Gauge({
+  name: 'krp_inbox_messages',
+  help: 'Inbound messages waiting for or failed in processing',
+  labelNames: ['status'],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const status of ['pending', 'failed']) this.set({ status }, 0);
+    for (const entry of Object.values(inbox)) {
+      if (entry.status === 'pending' || entry.status === 'failed') this.inc({ status: entry.status });
+    }
+  }
+});
+
+new promClient.Gauge({
+  name: 'krp_outbox_messages',
+  help: 'Messages in the outbound queue, by status (queued, sending, dead)',
+  labelNames: ['session', 'status'],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const entry of Object.values(outbox)) {
+      if (['queued', 'sending', 'dead'].includes(entry.status)) {
+        this.inc({ session: entry.sessionId, status: entry.status });
+      }
+    }
+  }
+});
+
+// Per-recipient progress of campaigns that are still running or paused
+new promClient.Gauge({
+  name: 'krp_campaign_recipients',
+  help: 'Recipients of active bulk campaigns, by status',
+  labelNames: ['session', 'campaign', 'status'],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const campaign of Object.values(campaigns)) {
+      if (campaign.status !== 'running' && campaign.status !== 'paused') continue;
+      const { total, ...counts } = getCampaignCounts(campaign);
+      for (const [status, count] of Object.entries(counts)) {
+        this.set({ session: campaign.sessionId, campaign: campaign.id, status }, count);
+      }
+    }
+  }
+});
+
+new promClient.Gauge({
+  name: 'krp_campaigns',
+  help: 'Bulk campaigns, by status',
+  labelNames: ['status'],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const campaign of Object.values(campaigns)) {
+      this.inc({ status: campaign.status });
+    }
+  }
+});
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+// A transport connects one session to WhatsApp; WHATSAPP_TRANSPORT picks which.
+// Every transport is an EventEmitter with the same surface:
+//   initialize(), destroy(), logout()   start, stop, unlink the number
+//   kill(), clearAuth()                 force-stop, forget stored credentials
+//   getState()                          'CONNECTED' while usable
+//   getInfo()                           { wid, pushname, platform }
+//   getNumberId(chatId)                 id to send to, or null if not on WhatsApp
+//   sendMessage(chatId, text, media, { content })
+//                                       resolves to { id, ack }; content is a
+//                                       poll, location or contact (see POLLS)
+//   getChat(id), getChats(), createGroup(name, ids)
+//                                       whatsapp-web.js style group chats; throw
+//                                       with status 501 where unsupported
+//   getMemoryMB()                       browser memory, or null
+// and emits qr (string), authenticated, auth_failure (message), ready,
+// disconnected (reason), message (an inbound message), message_ack (id, ack,
+// to) and vote_update (see recordPollVote). Inbound messages look like
+//   { id, from, to, body, type, hasMedia, timestamp, fromMe, reply(text),
+//     downloadMedia() }
+// with reply() resolving like sendMessage and downloadMedia() to
+// { mimetype, data (Buffer), filename } or null.
+const TRANSPORTS = {
+  webjs: session => new WebJsTransport(session),
+  cloud: session => new CloudApiTransport(session),
+  mock: session => new MockTransport(session)
+};
+
+if (!TRANSPORTS[WHATSAPP_TRANSPORT]) {
+  throw new Error(`Unknown WHATSAPP_TRANSPORT "${WHATSAPP_TRANSPORT}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+}
+
+function createTransport(session) {
+  return TRANSPORTS[WHATSAPP_TRANSPORT](session);
+}
+
+function unsupported(transport, feature) {
+  const error = new Error(`${feature} is not supported by the ${transport} transport`);
+  error.status = 501;
+  return error;
+}
+
+// whatsapp-web.js drives WhatsApp Web in Chromium; the number is linked by QR
+class WebJsTransport extends EventEmitter {
+  constructor(session) {
+    super();
+    // The default session keeps the original unnamed LocalAuth folder so
+    // existing installs stay linked
+    this.authDir = path.resolve('./.wwebjs_auth/', session.id === DEFAULT_SESSION_ID ? 'session' : `session-${session.id}`);
+    this.client = new Client({
+      authStrategy: session.id === DEFAULT_SESSION_ID ? new LocalAuth() : new LocalAuth({ clientId: session.id }),
+      puppeteer: {
+        headless: true,
+        executablePath: puppeteer.executablePath(), // use Puppeteer's own Chromium
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-gpu',
+          '--disable-extensions',
+          '--single-process',
+          '--no-zygote',
+          '--window-size=800,600'
+        ]
+      }
+    });
+
+    for (const event of ['qr', 'authenticated', 'auth_failure', 'ready', 'disconnected']) {
+      this.client.on(event, (...args) => this.emit(event, ...args));
+    }
+    this.client.on('message', message => this.emit('message', {
+      id: message.id._serialized,
+      from: message.from,
+      to: message.to,
+      body: message.body,
+      type: message.type,
+      hasMedia: message.hasMedia,
+      timestamp: message.timestamp,
+      fromMe: message.fromMe,
+      reply: async text => toSentMessage(await message.reply(text)),
+      downloadMedia: async () => {
+        const media = await message.downloadMedia();
+        return media && { mimetype: media.mimetype, data: Buffer.from(media.data, 'base64'), filename: media.filename || null };
+      }
+    }));
+    this.client.on('message_ack', (message, ack) => this.emit('message_ack', message.id._serialized, ack, message.to));
+    this.client.on('vote_update', vote => this.emit('vote_update', {
+      pollMessageId: vote.parentMessage.id._serialized,
+      voter: vote.voter,
+      selectedOptions: vote.selectedOptions,
+      timestamp: vote.interractedAtTs,
+      question: vote.parentMessage.pollName,
+      options: (vote.parentMessage.pollOptions || []).map(option => option.name)
+    }));
+  }
+
+  initialize() {
+    return this.client.initialize();
+  }
+
+  destroy() {
+    return this.client.destroy();
+  }
+
+  logout() {
+    return this.client.logout();
+  }
+
+  // Make sure a hung browser doesn't linger
+  kill() {
+    const browserProcess = this.client.pupBrowser && this.client.pupBrowser.process();
+    if (browserProcess) browserProcess.kill('SIGKILL');
+  }
+
+  clearAuth() {
+    fs.rmSync(this.authDir, { recursive: true, force: true });
+  }
+
+  getState() {
+    return this.client.getState();
+  }
+
+  async getInfo() {
+    const { wid, pushname, platform } = this.client.info;
+    return { wid: wid._serialized, pushname, platform };
+  }
+
+  async getNumberId(chatId) {
+    const numberId = await this.client.getNumberId(chatPhone(chatId));
+    return numberId ? numberId._serialized : null;
+  }
+
+  async sendMessage(chatId, text, media = null, { content: structured = null } = {}) {
+    const { content, options } = buildMessageContent(text, media, structured);
+    return toSentMessage(await this.client.sendMessage(chatId, content, options));
+  }
+
+  getChat(id) {
+    return this.client.getChatById(id);
+  }
+
+  getChats() {
+    return this.client.getChats();
+  }
+
+  createGroup(name, participantIds) {
+    return this.client.createGroup(name, participantIds);
+  }
+
+  // Resident memory of the Chromium process in MB (Linux only, else null)
+  getMemoryMB() {
+    try {
+      const browserProcess = this.client.pupBrowser && this.client.pupBrowser.process();
+      if (!browserProcess || !browserProcess.pid) return null;
+      const status = fs.readFileSync(`/proc/${browserProcess.pid}/status`, 'utf8');
+      const match = status.match(/VmRSS:\s+(\d+) kB/);
+      return match ? Math.round(parseInt(match[1], 10) / 1024) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+}
+
+function toSentMessage(sent) {
+  return { id: sent.id._serialized, ack: sent.ack || 0 };
+}
+
+// Build the sendMessage arguments for a text, media or structured message
+function buildMessageContent(message, media, content = null) {
+  if (content && content.type === 'poll') {
+    return {
+      content: new Poll(content.question, content.options, { allowMultipleAnswers: content.allowMultipleAnswers }),
+      options: {}
+    };
+  }
+  if (content && content.type === 'location') {
+    const { name, address, url } = content;
+    return {
+      content: new Location(content.latitude, content.longitude, { name: name || undefined, address: address || undefined, url: url || undefined }),
+      options: {}
+    };
+  }
+  if (content && content.type === 'contact') {
+    return { content: buildVCard(content), options: { parseVCards: true } };
+  }
+
+  if (!media) {
+    return { content: message, options: {} };
+  }
+
+  const data = fs.readFileSync(path.join(MEDIA_OUT_DIR, media.id)).toString('base64');
+  const options = { sendMediaAsDocument: media.asDocument };
+  const caption = media.caption || message;
+  if (caption) options.caption = caption;
+
+  return {
+    content: new MessageMedia(media.mimetype, data, media.filename, media.size),
+    options
+  };
+}
+
+// Meta's WhatsApp Business Cloud API. There is no QR: the number is set up
+// in Meta Business Manager and the session only needs its phone number id
+// (CLOUD_API_PHONE_NUMBER_ID for the default session). Inbound messages and
+// delivery statuses arrive at POST /cloud-api/webhook. Groups and number
+// lookups aren't available; sends to numbers not on WhatsApp fail afterwards
+// through a "failed" status.
+const CLOUD_API_ACKS = { sent: 1, delivered: 2, read: 3, failed: -1 };
+const CLOUD_API_TYPES = { text: 'chat', contacts: 'vcard', button: 'buttons_response', interactive: 'list_response' };
+
+class CloudApiTransport extends EventEmitter {
+  constructor(session) {
+    super();
+    this.phoneNumberId = session.phoneNumberId || (session.id === DEFAULT_SESSION_ID ? CLOUD_API_PHONE_NUMBER_ID : null);
+    this.connected = false;
+  }
+
+  async request(pathname, { method = 'GET', json, form } = {}) {
+    const headers = { Authorization: `Bearer ${CLOUD_API_TOKEN}` };
+    if (json) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${CLOUD_API_BASE_URL}/${pathname}`, {
+      method,
+      headers,
+      body: json ? JSON.stringify(json) : form
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Cloud API: ${data.error ? data.error.message : `HTTP ${response.status}`}`);
+    }
+    return data;
+  }
+
+  async initialize() {
+    if (!CLOUD_API_TOKEN || !this.phoneNumberId) {
+      throw new Error('CLOUD_API_TOKEN and a phone number id are required for the cloud transport');
+    }
+    await this.request(`${this.phoneNumberId}?fields=id`);
+    this.connected = true;
+    this.emit('authenticated');
+    this.emit('ready');
+  }
+
+  async destroy() {
+    this.connected = false;
+  }
+
+  // The number stays registered with Meta; this only stops using it
+  async logout() {
+    this.connected = false;
+  }
+
+  kill() {}
+
+  clearAuth() {}
+
+  async getState() {
+    await this.request(`${this.phoneNumberId}?fields=id`);
+    return this.connected ? 'CONNECTED' : null;
+  }
+
+  async getInfo() {
+    const number = await this.request(`${this.phoneNumberId}?fields=display_phone_number,verified_name`);
+    return {
+      wid: `${String(number.display_phone_number).replace(/\D/g, '')}@c.us`,
+      pushname: number.verified_name,
+      platform: 'cloud_api'
+    };
+  }
+
+  async getNumberId(chatId) {
+    return chatId;
+  }
+
+  async sendMessage(chatId, text, media = null, { quotedMessageId = null, content = null } = {}) {
+    if (isGroupId(chatId)) throw unsupported('cloud', 'Sending to groups');
+    if (content && content.type === 'poll') throw unsupported('cloud', 'Polls');
+
+    const payload = { messaging_product: 'whatsapp', recipient_type: 'individual', to: chatPhone(chatId) };
+    if (quotedMessageId) payload.context = { message_id: quotedMessageId };
+
+    if (content && content.type === 'location') {
+      const { latitude, longitude, name, address } = content;
+      payload.type = 'location';
+      payload.location = { latitude, longitude, ...(name && { name }), ...(address && { address }) };
+    } else if (content && content.type === 'contact') {
+      payload.type = 'contacts';
+      payload.contacts = [{
+        name: { formatted_name: content.name, first_name: content.name },
+        phones: [{ phone: content.phone, wa_id: content.phone.slice(1), type: 'CELL' }],
+        ...(content.organization && { org: { company: content.organization } }),
+        ...(content.email && { emails: [{ email: content.email, type: 'WORK' }] })
+      }];
+    } else if (media) {
+      const type = getCloudMediaType(media);
+      const caption = media.caption || text;
+      payload.type = type;
+      payload[type] = { id: await this.uploadMedia(media) };
+      if (caption && type !== 'audio') payload[type].caption = caption;
+      if (type === 'document' && media.filename) payload[type].filename = media.filename;
+    } else {
+      payload.type = 'text';
+      payload.text = { body: text, preview_url: true };
+    }
+
+    const result = await this.request(`${this.phoneNumberId}/messages`, { method: 'POST', json: payload });
+    return { id: result.messages[0].id, ack: 0 };
+  }
+
+  async uploadMedia(media) {
+    const { FormData, File } = await import('node-fetch');
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', media.mimetype);
+    form.append('file', new File([fs.readFileSync(path.join(MEDIA_OUT_DIR, media.id))], media.filename || media.id, { type: media.mimetype }));
+    const result = await this.request(`${this.phoneNumberId}/media`, { method: 'POST', form });
+    return result.id;
+  }
+
+  async getChat() {
+    throw unsupported('cloud', 'Groups');
+  }
+
+  async getChats() {
+    throw unsupported('cloud', 'Groups');
+  }
+
+  async createGroup() {
+    throw unsupported('cloud', 'Groups');
+  }
+
+  getMemoryMB() {
+    return null;
+  }
+
+  // Media ids from webhooks resolve to a short-lived URL that needs the token
+  async downloadMedia(content) {
+    if (!content.id) return null;
+    const { url, mime_type: mimetype } = await this.request(content.id);
+    const response = await fetch(url, { headers: { Authorization: `Bearer ${CLOUD_API_TOKEN}` } });
+    if (!response.ok) throw new Error(`Cloud API: media download failed with HTTP ${response.status}`);
+    return { mimetype, data: Buffer.from(await response.arrayBuffer()), filename: content.filename || null };
+  }
+
+  // One "value" from a webhook change: inbound messages and delivery statuses
+  handleWebhook(value) {
+    const to = `${String(value.metadata.display_phone_number || '').replace(/\D/g, '')}@c.us`;
+
+    for (const message of value.messages || []) {
+      const content = message[message.type] || {};
+      const reply = message.interactive && (message.interactive.button_reply || message.interactive.list_reply);
+      this.emit('message', {
+        id: message.id,
+        from: `${message.from}@c.us`,
+        to,
+        body: (message.text && message.text.body) || (message.button && message.button.text) || (reply && reply.title) || content.caption || '',
+        type: CLOUD_API_TYPES[message.type] || message.type,
+        hasMedia: !!content.mime_type,
+        timestamp: parseInt(message.timestamp, 10),
+        fromMe: false,
+        reply: text => this.sendMessage(`${message.from}@c.us`, text, null, { quotedMessageId: message.id }),
+        downloadMedia: () => this.downloadMedia(content)
+      });
+    }
+
+    for (const status of value.statuses || []) {
+      if (CLOUD_API_ACKS[status.status] === undefined) continue;
+      if (status.errors) {
+        console.warn(`❌ Cloud API could not deliver ${status.id}:`, status.errors.map(e => e.title || e.message).join('; '));
+      }
+      this.emit('message_ack', status.id, CLOUD_API_ACKS[status.status], `${status.recipient_id}@c.us`);
+    }
+  }
+}
+
+// The Cloud API only takes JPEG/PNG images and MP4/3GP video inline
+function getCloudMediaType(media) {
+  if (media.asDocument) return 'document';
+  if (['image/jpeg', 'image/png'].includes(media.mimetype)) return 'image';
+  if (['video/mp4', 'video/3gpp'].includes(media.mimetype)) return 'video';
+  if (media.mimetype.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+// X-Hub-Signature-256 is an HMAC of the raw body with the app secret
+function verifyCloudApiSignature(req) {
+  const signature = req.get('x-hub-signature-256') || '';
+  if (!CLOUD_API_APP_SECRET || !req.rawBody || !signature.startsWith('sha256=')) return false;
+
+  const expected = crypto.createHmac('sha256', CLOUD_API_APP_SECRET).update(req.rawBody).digest('hex');
+  const actual = signature.slice(7);
+  return actual.length === expected.length && crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+}
+
+// In-memory stand-in for tests: connects straight away and records what is
+// sent instead of sending it. What the test sees and controls (sent messages,
+// groups, numbers that aren't on WhatsApp or whose sends fail) is kept per
+// session across restarts; drive it through the /mock routes.
+const MOCK_WID = '910000000000@c.us';
+const MOCK_SENT_LIMIT = 1000;
+// How long a mock send takes, like WhatsApp's round trip (0: instant)
+const MOCK_SEND_LATENCY_MS = parseInt(process.env.MOCK_SEND_LATENCY_MS, 10) || 0;
+const mockStates = new Map();
+
+function getMockState(sessionId) {
+  if (!mockStates.has(sessionId)) {
+    mockStates.set(sessionId, { sent: [], groups: new Map(), unregistered: new Set(), failing: new Set(), nextId: 1 });
+  }
+  return mockStates.get(sessionId);
+}
+
+class MockTransport extends EventEmitter {
+  constructor(session) {
+    super();
+    this.state = getMockState(session.id);
+    this.connected = false;
+  }
+
+  async initialize() {
+    setImmediate(() => {
+      this.connected = true;
+      this.emit('authenticated');
+      this.emit('ready');
+    });
+  }
+
+  async destroy() {
+    this.connected = false;
+  }
+
+  async logout() {
+    this.connected = false;
+  }
+
+  kill() {}
+
+  clearAuth() {}
+
+  async getState() {
+    return this.connected ? 'CONNECTED' : null;
+  }
+
+  async getInfo() {
+    return { wid: MOCK_WID, pushname: 'Mock', platform: 'mock' };
+  }
+
+  async getNumberId(chatId) {
+    return this.state.unregistered.has(chatPhone(chatId)) ? null : chatId;
+  }
+
+  async sendMessage(chatId, text, media = null, { quotedMessageId = null, content = null } = {}) {
+    if (!this.connected) throw new Error('Mock transport is not connected');
+    if (this.state.failing.has(chatPhone(chatId))) throw new Error('Mock send failure');
+    if (MOCK_SEND_LATENCY_MS) await new Promise(resolve => setTimeout(resolve, MOCK_SEND_LATENCY_MS));
+
+    const message = {
+      id: `mock_${this.state.nextId++}`,
+      to: chatId,
+      text: text || null,
+      media: media && { filename: media.filename, mimetype: media.mimetype, size: media.size, caption: media.caption },
+      content,
+      quotedMessageId,
+      ack: 0,
+      sentAt: new Date().toISOString()
+    };
+    this.state.sent.push(message);
+    this.state.sent.splice(0, this.state.sent.length - MOCK_SENT_LIMIT);
+    setImmediate(() => {
+      message.ack = Math.max(message.ack, 1);
+      this.emit('message_ack', message.id, message.ack, chatId);
+    });
+    return { id: message.id, ack: 0 };
+  }
+
+  async getChat(id) {
+    return this.state.groups.get(id) || null;
+  }
+
+  async getChats() {
+    return [...this.state.groups.values()];
+  }
+
+  async createGroup(name, participantIds) {
+    const group = new MockGroupChat(`120363${Date.now()}${this.state.nextId++}@g.us`, name, participantIds);
+    this.state.groups.set(group.id._serialized, group);
+    return { title: name, gid: group.id, participants: group.addResult(participantIds) };
+  }
+
+  getMemoryMB() {
+    return null;
+  }
+
+  // Test helpers; media is { mimetype, base64, filename? }
+  receive({ from, body = '', type = 'chat', media = null }) {
+    const chatId = toChatId(from);
+    const id = `mock_in_${this.state.nextId++}`;
+    this.emit('message', {
+      id,
+      from: chatId,
+      to: MOCK_WID,
+      body: String(body),
+      type: media && type === 'chat' ? 'document' : type,
+      hasMedia: !!media,
+      timestamp: Math.floor(Date.now() / 1000),
+      fromMe: false,
+      reply: text => this.sendMessage(chatId, text, null, { quotedMessageId: id }),
+      downloadMedia: async () => media && {
+        mimetype: media.mimetype,
+        data: Buffer.from(String(media.base64 || ''), 'base64'),
+        filename: media.filename || null
+      }
+    });
+    return id;
+  }
+
+  // A contact answering a poll this session sent; options are choice names
+  vote({ messageId, from, options }) {
+    const sent = this.state.sent.find(m => m.id === messageId && m.content && m.content.type === 'poll');
+    if (!sent) return false;
+    this.emit('vote_update', {
+      pollMessageId: messageId,
+      voter: toChatId(from),
+      selectedOptions: options.map(name => ({ name, localId: sent.content.options.indexOf(name) })),
+      timestamp: Date.now(),
+      question: sent.content.question,
+      options: sent.content.options
+    });
+    return true;
+  }
+}
+
+// Just enough of a whatsapp-web.js GroupChat for the group routes
+class MockGroupChat {
+  constructor(id, name, participantIds) {
+    this.id = { _serialized: id };
+    this.name = name;
+    this.isGroup = true;
+    this.unreadCount = 0;
+    this.inviteCode = crypto.randomBytes(8).toString('hex');
+    this.groupMetadata = {
+      desc: null,
+      announce: false,
+      restrict: false,
+      owner: { _serialized: MOCK_WID },
+      creation: Math.floor(Date.now() / 1000),
+      participants: [{ id: { _serialized: MOCK_WID, user: chatPhone(MOCK_WID) }, isAdmin: true, isSuperAdmin: true }]
+    };
+    this.addResult(participantIds);
+  }
+
+  findParticipant(id) {
+    return this.groupMetadata.participants.find(p => p.id._serialized === id);
+  }
+
+  addResult(ids) {
+    const result = {};
+    for (const id of ids) {
+      if (!this.findParticipant(id)) {
+        this.groupMetadata.participants.push({ id: { _serialized: id, user: chatPhone(id) }, isAdmin: false, isSuperAdmin: false });
+      }
+      result[id] = { code: 200, message: 'The participant was added successfully', isInviteV4Sent: false };
+    }
+    return result;
+  }
+
+  async addParticipants(ids) {
+    return this.addResult(ids);
+  }
+
+  async removeParticipants(ids) {
+    this.groupMetadata.participants = this.groupMetadata.participants.filter(p => !ids.includes(p.id._serialized));
+    return { status: 200 };
+  }
+
+  async promoteParticipants(ids) {
+    ids.forEach(id => { if (this.findParticipant(id)) this.findParticipant(id).isAdmin = true; });
+    return { status: 200 };
+  }
+
+  async demoteParticipants(ids) {
+    ids.forEach(id => { if (this.findParticipant(id)) this.findParticipant(id).isAdmin = false; });
+    return { status: 200 };
+  }
+
+  async setSubject(name) {
+    this.name = name;
+    return true;
+  }
+
+  async setDescription(description) {
+    this.groupMetadata.desc = description;
+    return true;
+  }
+
+  async setMessagesAdminsOnly(value) {
+    this.groupMetadata.announce = value;
+    return true;
+  }
+
+  async setInfoAdminsOnly(value) {
+    this.groupMetadata.restrict = value;
+    return true;
+  }
+
+  async setAddMembersAdminsOnly(value) {
+    this.groupMetadata.memberAddMode = value;
+    return true;
+  }
+
+  async getInviteCode() {
+    return this.inviteCode;
+  }
+
+  async revokeInvite() {
+    this.inviteCode = crypto.randomBytes(8).toString('hex');
+    return this.inviteCode;
+  }
+}
+
+// ============================================================================
+// INITIALIZE WHATSAPP CLIENT
+// ============================================================================
+
+// Session ids become LocalAuth client ids, which only allow these characters
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+const SESSIONS_FILE = 'sessions.json';
+const savedSessions = readDataFile(SESSIONS_FILE, {});
+
+function saveSessions() {
+  const data = {};
+  for (const session of sessions.values()) {
+    data[session.id] = { id: session.id, name: session.name, phoneNumberId: session.phoneNumberId, createdAt: session.createdAt };
+  }
+  writeDataFile(SESSIONS_FILE, data);
+}
+
+function getSession(sessionId = DEFAULT_SESSION_ID) {
+  return sessions.get(sessionId);
+}
+
+function isSessionReady(sessionId = DEFAULT_SESSION_ID) {
+  const session = sessions.get(sessionId);
+  return !!(session && session.isReady);
+}
+
+function summarizeSession(session) {
+  return {
+    id: session.id,
+    name: session.name,
+    isDefault: session.id === DEFAULT_SESSION_ID,
+    state: session.state,
+    connected: session.isReady,
+    qrAvailable: !!session.qrCodeData,
+    phoneNumberId: session.phoneNumberId || undefined,
+    createdAt: session.createdAt
+  };
+}
+
+function createSession(id, name, { phoneNumberId = null } = {}) {
+  const session = {
+    id,
+    name: name || id,
+    phoneNumberId,
+    transport: null,
+    qrCodeData: '',
+    isReady: false,
+    state: 'initializing',
+    stateDetail: null,
+    stateChangedAt: new Date().toISOString(),
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    failedProbes: 0,
+    lastProbe: null,
+    restartCount: 0,
+    restarts: [],
+    removed: false,
+    createdAt: new Date().toISOString()
+  };
+
+  sessions.set(id, session);
+  saveSessions();
+  initializeWhatsApp(session);
+  return session;
+}
+
+async function removeSession(session, { logout = false } = {}) {
+  sessions.delete(session.id);
+  saveSessions();
+  session.removed = true;
+  clearTimeout(session.reconnectTimer);
+
+  const transport = session.transport;
+  session.transport = null;
+  if (!transport) return;
+  if (logout && session.isReady) {
+    await transport.logout();
+  }
+  await transport.destroy();
+}
+
+function initializeWhatsApp(session) {
+  console.log(`🚀 Initializing WhatsApp client [${session.id}] (${WHATSAPP_TRANSPORT})...`);
+
+  const client = createTransport(session);
+  session.transport = client;
+  setSessionState(session, 'initializing');
+
+  // Lifecycle events from a transport that has since been replaced are ignored
+  const isCurrent = () => session.transport === client;
+
+  // QR Code Event
+  client.on('qr', async (qr) => {
+    if (!isCurrent()) return;
+    console.log(`📱 QR Code received [${session.id}], generating image...`);
+    setSessionState(session, 'awaiting_qr');
+    metrics.qrCodes.inc({ session: session.id });
+    try {
+      session.qrCodeData = await qrcode.toDataURL(qr);
+      console.log('✅ QR Code generated successfully');
+      console.log('📲 Scan this QR code with WhatsApp to connect');
+      emitEvent('qr', session.id, { qr, qrCode: session.qrCodeData });
+    } catch (err) {
+      console.error('❌ Error generating QR code:', err);
+    }
+  });
+
+  // Ready Event
+  client.on('ready', () => {
+    if (!isCurrent()) return;
+    console.log(`✅ WhatsApp client is ready! [${session.id}]`);
+    console.log('📱 Client connected successfully');
+    setSessionState(session, 'ready');
+    session.qrCodeData = '';
+    session.reconnectAttempts = 0;
+    session.failedProbes = 0;
+    emitEvent('ready', session.id, {});
+    processOutbox(session.id);
+    processCampaigns(session.id);
+  });
+
+  // Authenticated Event
+  client.on('authenticated', () => {
+    if (!isCurrent()) return;
+    console.log(`✅ WhatsApp authenticated [${session.id}]`);
+    setSessionState(session, 'authenticated');
+    emitEvent('authenticated', session.id, {});
+  });
+
+  // Authentication Failure
+  client.on('auth_failure', (msg) => {
+    if (!isCurrent()) return;
+    console.error(`❌ Authentication failed [${session.id}]:`, msg);
+    // Stored credentials are no good: start over with a fresh QR code
+    setSessionState(session, 'logged_out', msg);
+    restartSession(session, 'Authentication failed', { clearAuth: true });
+  });
+
+  // Message Event
+  client.on('message', async (message) => {
+    console.log(`📨 Message received [${session.id}] from:`, message.from);
+    console.log('💬 Message:', message.body);
+    emitEvent('message', session.id, {
+      id: message.id,
+      from: message.from,
+      body: message.body,
+      type: message.type,
+      hasMedia: message.hasMedia,
+      timestamp: message.timestamp
+    });
+    await handleIncomingMessage(message, session);
+  });
+
+  // Poll Vote Event (a contact chose, changed or withdrew an answer)
+  client.on('vote_update', (vote) => {
+    const recorded = recordPollVote(session, vote);
+    if (!recorded) return;
+    emitEvent('poll_vote', session.id, {
+      pollId: recorded.poll.id,
+      question: recorded.poll.question,
+      voter: vote.voter,
+      options: recorded.choices
+    });
+  });
+
+  // Message Ack Event (sent, delivered, read, ...)
+  client.on('message_ack', (id, ack, to) => {
+    const tracked = recordMessageAck(id, ack);
+    emitEvent('message_ack', session.id, {
+      id,
+      to,
+      ack,
+      status: ACK_STATUS[ack] || 'unknown',
+      trackingId: tracked ? tracked.outboxId : null
+    });
+  });
+
+  // Disconnected Event
+  client.on('disconnected', (reason) => {
+    if (!isCurrent()) return;
+    console.log(`❌ WhatsApp disconnected [${session.id}]:`, reason);
+    session.qrCodeData = '';
+    emitEvent('disconnected', session.id, { reason });
+
+    if (LOGOUT_REASONS.includes(reason)) {
+      setSessionState(session, 'logged_out', reason);
+      restartSession(session, `Logged out (${reason})`, { clearAuth: true });
+    } else {
+      scheduleReconnect(session, `Disconnected (${reason})`);
+    }
+  });
+
+  // Initialize
+  client.initialize().catch((error) => {
+    if (!isCurrent()) return;
+    console.error(`❌ Failed to initialize WhatsApp [${session.id}]:`, error.message);
+    scheduleReconnect(session, `Initialization failed: ${error.message}`);
+  });
+}
+
+// ============================================================================
+// CONNECTION SUPERVISOR
+// ============================================================================
+
+// Each session moves through: initializing -> awaiting_qr -> authenticated ->
+// ready, and on trouble to reconnecting (retried with backoff), logged_out
+// (session cleared, fresh QR) or failed (gave up; use POST /restart).
+// A watchdog probes ready sessions so a hung Chromium page is restarted too.
+const LOGOUT_REASONS = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE'];
+const SESSION_RESTART_HISTORY = 20;
+
+function setSessionState(session, state, detail = null) {
+  if (session.state === state && !detail) return;
+  console.log(`🔁 Session ${session.id}: ${session.state} → ${state}${detail ? ` (${detail})` : ''}`);
+  session.state = state;
+  session.stateDetail = detail;
+  session.stateChangedAt = new Date().toISOString();
+  session.isReady = state === 'ready';
+  emitEvent('state', session.id, { state, detail, connected: session.isReady });
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+function scheduleReconnect(session, reason) {
+  if (session.removed) return;
+  clearTimeout(session.reconnectTimer);
+
+  if (session.reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) {
+    setSessionState(session, 'failed', `Gave up after ${session.reconnectAttempts} attempts: ${reason}`);
+    return;
+  }
+
+  const delay = Math.min(RECONNECT_BASE_MS * Math.pow(2, session.reconnectAttempts), RECONNECT_MAX_MS);
+  session.reconnectAttempts++;
+  metrics.reconnects.inc({ session: session.id });
+  setSessionState(session, 'reconnecting', `${reason}; retry ${session.reconnectAttempts} in ${Math.round(delay / 1000)}s`);
+  session.reconnectTimer = setTimeout(() => restartSession(session, reason), delay);
+}
+
+// Tear down the current transport (and Chromium) and start a new one
+async function restartSession(session, reason, { clearAuth = false, logout = false } = {}) {
+  if (session.removed) return;
+  clearTimeout(session.reconnectTimer);
+
+  session.restartCount++;
+  metrics.restarts.inc({ session: session.id });
+  session.restarts.push({ at: new Date().toISOString(), reason, clearAuth });
+  session.restarts = session.restarts.slice(-SESSION_RESTART_HISTORY);
+  session.failedProbes = 0;
+  console.log(`♻️  Restarting session ${session.id}: ${reason}`);
+
+  const oldTransport = session.transport;
+  session.transport = null;
+  session.qrCodeData = '';
+  if (session.state !== 'logged_out' && session.state !== 'reconnecting') {
+    setSessionState(session, 'reconnecting', reason);
+  }
+
+  if (oldTransport) {
+    try {
+      if (logout) {
+        await withTimeout(oldTransport.logout(), 30000, 'Logout timed out');
+      } else {
+        await withTimeout(oldTransport.destroy(), 30000, 'Destroy timed out');
+      }
+    } catch (error) {
+      console.error(`⚠️  Error closing old client [${session.id}]:`, error.message);
+      oldTransport.kill();
+    }
+  }
+
+  if (clearAuth && oldTransport) {
+    try {
+      oldTransport.clearAuth();
+      console.log(`✅ Session data cleared [${session.id}]`);
+    } catch (error) {
+      console.error(`❌ Error clearing session [${session.id}]:`, error.message);
+    }
+  }
+
+  if (!session.removed) {
+    initializeWhatsApp(session);
+  }
+}
+
+async function probeSession(session) {
+  const client = session.transport;
+
+  if (session.state === 'initializing' && Date.now() - Date.parse(session.stateChangedAt) > INITIALIZE_TIMEOUT_MS) {
+    return scheduleReconnect(session, 'Initialization timed out');
+  }
+  if (session.state !== 'ready' || !client) return;
+
+  const probe = { at: new Date().toISOString(), ok: false, state: null, memoryMB: client.getMemoryMB(), error: null };
+  session.lastProbe = probe;
+
+  try {
+    probe.state = await withTimeout(client.getState(), WATCHDOG_PROBE_TIMEOUT_MS, 'getState() timed out');
+    probe.ok = probe.state === 'CONNECTED';
+  } catch (error) {
+    probe.error = error.message;
+  }
+  if (session.transport !== client) return;
+
+  if (LOGOUT_REASONS.includes(probe.state)) {
+    setSessionState(session, 'logged_out', probe.state);
+    return restartSession(session, `Logged out (${probe.state})`, { clearAuth: true });
+  }
+
+  session.failedProbes = probe.ok ? 0 : session.failedProbes + 1;
+  if (session.failedProbes >= WATCHDOG_MAX_FAILED_PROBES) {
+    return restartSession(session, `Page not responding (${probe.error || probe.state})`);
+  }
+
+  if (probe.memoryMB && probe.memoryMB > CHROMIUM_MAX_MEMORY_MB) {
+    return restartSession(session, `Chromium using ${probe.memoryMB} MB (limit ${CHROMIUM_MAX_MEMORY_MB} MB)`);
+  }
+}
+
+function startWatchdog() {
+  setInterval(() => {
+    for (const session of sessions.values()) {
+      probeSession(session).catch(error => {
+        console.error(`❌ Watchdog error [${session.id}]:`, error.message);
+      });
+    }
+  }, WATCHDOG_INTERVAL_MS);
+}
+
+function initializeSessions() {
+  if (!savedSessions[DEFAULT_SESSION_ID]) {
+    savedSessions[DEFAULT_SESSION_ID] = { id: DEFAULT_SESSION_ID, name: 'Default' };
+  }
+  for (const saved of Object.values(savedSessions)) {
+    createSession(saved.id, saved.name, { phoneNumberId: saved.phoneNumberId });
+    if (saved.createdAt) sessions.get(saved.id).createdAt = saved.createdAt;
+  }
+  saveSessions();
+}
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+// Every incoming message is written to the inbox before it is forwarded, so
+// nothing is lost when Apps Script is down. A circuit breaker stops calling
+// Apps Script after repeated failures; pending messages are replayed once it
+// answers again and any late replies go out through the outbound queue.
+const INBOX_FILE = 'inbox.json';
+const inbox = readDataFile(INBOX_FILE, {});
+const processorCircuit = {
+  state: 'closed',
+  failures: 0,
+  openedAt: null,
+  lastError: null,
+  lastFailureAt: null,
+  lastSuccessAt: null,
+  trialInFlight: false
+};
+let inboxReplayActive = false;
+
+// Messages that were mid-flight when the server stopped are processed again
+for (const entry of Object.values(inbox)) {
+  if (entry.status === 'processing') entry.status = 'pending';
+}
+
+function saveInbox() {
+  const cutoff = Date.now() - INBOX_RETENTION_MS;
+  for (const [id, entry] of Object.entries(inbox)) {
+    if (entry.status === 'processed' && Date.parse(entry.receivedAt) < cutoff) {
+      delete inbox[id];
+    }
+  }
+  writeDataFile(INBOX_FILE, inbox);
+}
+
+function recordInbound(message, session) {
+  const entry = {
+    id: generateId('in'),
+    sessionId: session.id,
+    messageId: message.id,
+    from: message.from,
+    phone: message.from.replace('@c.us', ''),
+    text: message.body.trim(),
+    type: message.type,
+    media: null,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    handledBy: null,
+    replies: [],
+    receivedAt: new Date().toISOString(),
+    processedAt: null
+  };
+
+  inbox[entry.id] = entry;
+  saveInbox();
+  metrics.inboundMessages.inc({ session: session.id });
+  recordHistory({
+    id: entry.messageId,
+    sessionId: session.id,
+    chatId: message.from,
+    direction: 'in',
+    source: 'whatsapp',
+    type: message.type,
+    body: message.body,
+    timestamp: message.timestamp ? new Date(message.timestamp * 1000).toISOString() : entry.receivedAt
+  });
+  return entry;
+}
+
+// After the cool-down the circuit is half open: one trial request is let
+// through to test the water and everything else is held back (stays pending
+// in the inbox) until that trial closes or re-opens the circuit
+function isCircuitOpen() {
+  if (processorCircuit.state === 'open' && Date.now() - Date.parse(processorCircuit.openedAt) >= PROCESSOR_CIRCUIT_RESET_MS) {
+    processorCircuit.state = 'half_open';
+  }
+  if (processorCircuit.state === 'half_open') return processorCircuit.trialInFlight;
+  return processorCircuit.state === 'open';
+}
+
+function recordProcessorSuccess() {
+  const recovered = processorCircuit.state !== 'closed';
+  Object.assign(processorCircuit, { state: 'closed', failures: 0, openedAt: null, trialInFlight: false, lastSuccessAt: new Date().toISOString() });
+
+  if (recovered) {
+    console.log('✅ Apps Script is responding again, replaying pending messages');
+    setImmediate(replayInbox);
+  }
+}
+
+function recordProcessorFailure(error) {
+  processorCircuit.failures++;
+  processorCircuit.trialInFlight = false;
+  processorCircuit.lastError = error.message;
+  processorCircuit.lastFailureAt = new Date().toISOString();
+
+  if (processorCircuit.state === 'half_open' || processorCircuit.failures >= PROCESSOR_CIRCUIT_THRESHOLD) {
+    if (processorCircuit.state !== 'open') {
+      console.error(`⚡ Apps Script circuit opened after ${processorCircuit.failures} failure(s)`);
+    }
+    processorCircuit.state = 'open';
+    processorCircuit.openedAt = new Date().toISOString();
+  }
+}
+
+// Send to Google Apps Script for processing. Throws when the script is
+// unreachable, the circuit is open, or it answers with something other than JSON.
+// For attachments, media says what was received and where to fetch it.
+async function forwardToProcessor(phoneNumber, text, sessionId, { type = 'chat', media = null } = {}) {
+  if (isCircuitOpen()) {
+    metrics.processorRequests.inc({ outcome: 'circuit_open' });
+    const error = new Error('Apps Script circuit is open');
+    error.circuitOpen = true;
+    throw error;
+  }
+  if (processorCircuit.state === 'half_open') processorCircuit.trialInFlight = true;
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), PROCESSOR_TIMEOUT_MS);
+  const endTimer = metrics.processorDuration.startTimer();
+
+  try {
+    const response = await fetch(GOOGLE_SCRIPT_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        action: 'processMessage',
+        session: sessionId,
+        from: phoneNumber,
+        message: text,
+        type,
+        media: media && withMediaLink(media)
+      }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Apps Script responded with HTTP ${response.status}`);
+    }
+
+    const body = await response.text();
+    let result;
+    try {
+      result = JSON.parse(body);
+    } catch (err) {
+      throw new Error(`Apps Script returned invalid JSON: ${body.slice(0, 100)}`);
+    }
+
+    recordProcessorSuccess();
+    endTimer({ outcome: 'success' });
+    metrics.processorRequests.inc({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    if (error.name === 'AbortError') error.message = 'Apps Script timed out';
+    endTimer({ outcome: 'error' });
+    metrics.processorRequests.inc({ outcome: 'error' });
+    recordProcessorFailure(error);
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Replies to a live message quote it; if that fails, the rate governor asks
+// to wait, or this is a replay, they go through the outbound queue so they
+// are paced and retried like any other send
+async function sendReplies(entry, replies, message = null, { transactional = false } = {}) {
+  for (const reply of replies) {
+    if (isSuppressed(entry.from, { transactional, reply: true })) {
+      console.log(`🔕 Not replying to opted-out ${entry.phone}`);
+      continue;
+    }
+
+    console.log('✅ Sending reply:', reply);
+    entry.replies.push({ text: reply, at: new Date().toISOString() });
+
+    if (message && !claimSendSlot(entry.sessionId).delayMs) {
+      try {
+        const sent = await message.reply(reply);
+        recordSendAttempt(entry.sessionId, true, 'reply');
+        trackSentMessage(sent, { sessionId: entry.sessionId, to: message.from, source: 'reply', text: reply });
+        continue;
+      } catch (error) {
+        recordSendAttempt(entry.sessionId, false, 'reply');
+        console.error('❌ Error sending reply, queueing it:', error.message);
+      }
+    }
+
+    const queued = enqueueOutbound(entry.sessionId, entry.phone, reply, null, { source: 'reply', transactional });
+    processOutbox(entry.sessionId);
+    entry.replies[entry.replies.length - 1].outboxId = queued.id;
+  }
+}
+
+// Decide who answers (see settings.precedence under AUTO-RESPONDER) and send
+// the replies. Replays only go to Apps Script: the local side already had
+// its chance when the message arrived.
+async function processInboxEntry(entry, { message = null, replay = false } = {}) {
+  const { precedence } = autoReply.settings;
+  const { sessionId, phone, text } = entry;
+  let replies = null;
+  let handledBy = null;
+
+  entry.status = 'processing';
+
+  try {
+    // Stop/start keywords are handled here whatever the precedence
+    const optOutReplies = !replay && handleOptOutKeyword(entry);
+    if (optOutReplies) {
+      replies = optOutReplies;
+      handledBy = 'opt_out';
+    }
+
+    if (!handledBy && !replay && precedence !== 'upstream_only') {
+      replies = continueConversation(sessionId, phone, text);
+      if (replies) handledBy = 'local';
+
+      if (!handledBy && (precedence === 'local_first' || precedence === 'local_only')) {
+        replies = matchAutoReplyRules(sessionId, phone, text);
+        if (replies || precedence === 'local_only') handledBy = 'local';
+      }
+    }
+
+    if (!handledBy) {
+      try {
+        entry.attempts++;
+        const result = await forwardToProcessor(phone, text, sessionId, { type: entry.type, media: entry.media });
+        replies = result.reply ? [result.reply] : [];
+        handledBy = 'upstream';
+      } catch (error) {
+        if (error.circuitOpen) entry.attempts--;
+        console.error('❌ Apps Script unavailable:', error.message);
+
+        replies = !replay && precedence === 'upstream_first' && matchAutoReplyRules(sessionId, phone, text);
+        if (!replies) throw error;
+        console.log('🤖 Replying from local rules instead');
+        handledBy = 'local';
+      }
+    }
+
+    if (replies && replies.length) {
+      await sendReplies(entry, replies, message, { transactional: handledBy === 'opt_out' });
+    } else {
+      console.log('ℹ️  No reply needed');
+    }
+
+    Object.assign(entry, { status: 'processed', handledBy, lastError: null, processedAt: new Date().toISOString() });
+  } catch (error) {
+    entry.lastError = error.message;
+    entry.status = entry.attempts >= INBOX_MAX_ATTEMPTS ? 'failed' : 'pending';
+    if (entry.status === 'failed') {
+      console.error(`❌ Inbound message ${entry.id} failed after ${entry.attempts} attempts`);
+    }
+  }
+
+  saveInbox();
+  return entry;
+}
+
+async function handleIncomingMessage(message, session) {
+  try {
+    const entry = recordInbound(message, session);
+    if (message.hasMedia) {
+      entry.media = await saveIncomingMedia(message, entry);
+      saveInbox();
+    }
+    console.log('📞 Processing message from:', entry.phone);
+    await processInboxEntry(entry, { message });
+  } catch (error) {
+    console.error('❌ Error handling message:', error);
+  }
+}
+
+// Re-send pending messages to Apps Script, oldest first, until the circuit opens
+async function replayInbox() {
+  if (inboxReplayActive) return;
+  inboxReplayActive = true;
+
+  try {
+    const pending = Object.values(inbox)
+      .filter(e => e.status === 'pending')
+      .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+
+    for (const entry of pending) {
+      if (isCircuitOpen()) break;
+      if (entry.status !== 'pending') continue;
+      console.log(`🔄 Replaying inbound message ${entry.id} from ${entry.phone}`);
+      await processInboxEntry(entry, { replay: true });
+    }
+  } finally {
+    inboxReplayActive = false;
+  }
+}
+
+function startInboxReplay() {
+  setInterval(() => {
+    replayInbox().catch(error => console.error('❌ Inbox replay error:', error.message));
+  }, INBOX_REPLAY_INTERVAL_MS);
+}
+
+// ============================================================================
+// AUTO-RESPONDER
+// ============================================================================
+
+// Local replies that work without Apps Script:
+//  - rules match an incoming text (exact keyword, contains, or regex) and reply
+//    and/or start a menu flow
+//  - flows are numbered menus: each step has a message and options keyed by
+//    what the contact types ("1", "2", ...), each with a reply and/or next step
+// Conversation state is kept in memory per session + contact and expires after
+// settings.conversationTimeoutMinutes.
+//
+// settings.precedence:
+//   upstream_first - Apps Script first, local rules only when it fails (default)
+//   local_first    - local rules first, Apps Script when nothing matches
+//   local_only / upstream_only
+const AUTO_REPLY_FILE = 'auto-reply.json';
+const AUTO_REPLY_PRECEDENCES = ['upstream_first', 'local_first', 'local_only', 'upstream_only'];
+const AUTO_REPLY_MATCH_TYPES = ['exact', 'contains', 'regex'];
+const autoReply = readDataFile(AUTO_REPLY_FILE, {});
+autoReply.settings = {
+  precedence: 'upstream_first',
+  conversationTimeoutMinutes: 30,
+  exitKeywords: ['exit', 'cancel'],
+  ...autoReply.settings
+};
+autoReply.rules = autoReply.rules || {};
+autoReply.flows = autoReply.flows || {};
+const conversations = new Map();
+
+function saveAutoReply() {
+  writeDataFile(AUTO_REPLY_FILE, autoReply);
+}
+
+function conversationKey(sessionId, phone) {
+  return `${sessionId}:${phone}`;
+}
+
+function ruleMatches(rule, text) {
+  const normalized = text.toLowerCase();
+  switch (rule.match) {
+    case 'exact':
+      return rule.keywords.some(k => normalized === k.toLowerCase());
+    case 'contains':
+      return rule.keywords.some(k => normalized.includes(k.toLowerCase()));
+    case 'regex':
+      try {
+        return new RegExp(rule.pattern, 'i').test(text);
+      } catch (err) {
+        return false;
+      }
+    default:
+      return false;
+  }
+}
+
+function startFlow(sessionId, phone, flowId) {
+  const flow = autoReply.flows[flowId];
+  if (!flow || !flow.steps[flow.startStep]) return [];
+
+  conversations.set(conversationKey(sessionId, phone), { flowId, stepId: flow.startStep, updatedAt: Date.now() });
+  return [flow.steps[flow.startStep].message];
+}
+
+// Returns reply texts for the first matching active rule, or null
+function matchAutoReplyRules(sessionId, phone, text) {
+  const rule = Object.values(autoReply.rules)
+    .filter(r => r.active && (!r.sessions || !r.sessions.length || r.sessions.includes(sessionId)))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+    .find(r => ruleMatches(r, text));
+
+  if (!rule) return null;
+  console.log(`🤖 Auto-reply rule matched: ${rule.name}`);
+
+  const replies = rule.reply ? [rule.reply] : [];
+  if (rule.flowId) replies.push(...startFlow(sessionId, phone, rule.flowId));
+  return replies.length ? replies : null;
+}
+
+// Returns reply texts when the contact has an active menu conversation, or null
+function continueConversation(sessionId, phone, text) {
+  const key = conversationKey(sessionId, phone);
+  const conversation = conversations.get(key);
+  if (!conversation) return null;
+
+  const timeoutMs = autoReply.settings.conversationTimeoutMinutes * 60 * 1000;
+  const flow = autoReply.flows[conversation.flowId];
+  const step = flow && flow.steps[conversation.stepId];
+  if (!step || Date.now() - conversation.updatedAt > timeoutMs) {
+    conversations.delete(key);
+    return null;
+  }
+
+  const input = text.toLowerCase();
+  if (autoReply.settings.exitKeywords.some(k => k.toLowerCase() === input)) {
+    conversations.delete(key);
+    return [flow.exitMessage || 'Menu closed.'];
+  }
+
+  const optionKey = Object.keys(step.options || {}).find(k => k.toLowerCase() === input);
+  if (!optionKey) {
+    conversation.updatedAt = Date.now();
+    return [step.invalidReply || `Sorry, please reply with one of: ${Object.keys(step.options || {}).join(', ')}`];
+  }
+
+  const option = step.options[optionKey];
+  const replies = option.reply ? [option.reply] : [];
+  if (option.next && flow.steps[option.next]) {
+    Object.assign(conversation, { stepId: option.next, updatedAt: Date.now() });
+    replies.push(flow.steps[option.next].message);
+  } else {
+    conversations.delete(key);
+  }
+  return replies;
+}
+
+function validateRuleInput(rule) {
+  if (!rule.name) return 'Rule name is required';
+  if (!AUTO_REPLY_MATCH_TYPES.includes(rule.match)) {
+    return `match must be one of: ${AUTO_REPLY_MATCH_TYPES.join(', ')}`;
+  }
+  if (rule.match === 'regex') {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (err) {
+      return `Invalid regex pattern: ${err.message}`;
+    }
+  } else if (!Array.isArray(rule.keywords) || !rule.keywords.length) {
+    return 'keywords array is required';
+  }
+  if (!rule.reply && !rule.flowId) return 'A reply or flowId is required';
+  if (rule.flowId && !autoReply.flows[rule.flowId]) return 'Flow not found';
+  return null;
+}
+
+function validateFlowInput(flow) {
+  if (!flow.name) return 'Flow name is required';
+  if (!flow.steps || typeof flow.steps !== 'object') return 'steps object is required';
+  if (!flow.steps[flow.startStep]) return 'startStep must name one of the steps';
+
+  for (const [stepId, step] of Object.entries(flow.steps)) {
+    if (!step.message) return `Step "${stepId}" needs a message`;
+    for (const [key, option] of Object.entries(step.options || {})) {
+      if (option.next && !flow.steps[option.next]) {
+        return `Step "${stepId}" option "${key}" points to unknown step "${option.next}"`;
+      }
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// OPT-OUTS
+// ============================================================================
+
+// A contact who sends one of the stop keywords (the whole message, any case)
+// is added to the suppression list and gets a confirmation; a start keyword
+// takes them off it again. Every outbound path checks the list: suppressed
+// numbers are skipped and reported as "suppressed" unless the send is marked
+// transactional. Replies to messages the contact sends us follow allowReplies.
+const OPT_OUT_FILE = 'opt-outs.json';
+const optOuts = readDataFile(OPT_OUT_FILE, {});
+optOuts.numbers = optOuts.numbers || {};
+optOuts.settings = {
+  stopKeywords: ['stop', 'unsubscribe', 'stop all', 'opt out', 'optout', 'बंद', 'बंद करो', 'रोकें', 'બંધ', 'બંધ કરો', 'રોકો'],
+  startKeywords: ['start', 'subscribe', 'unstop', 'शुरू', 'चालू करो', 'શરૂ', 'ચાલુ કરો'],
+  stopReply: 'You have been unsubscribed from KRP Academy messages. Reply START to subscribe again.',
+  startReply: 'You are subscribed to KRP Academy messages again. Reply STOP to unsubscribe.',
+  allowReplies: false,
+  ...optOuts.settings
+};
+
+function saveOptOuts() {
+  writeDataFile(OPT_OUT_FILE, optOuts);
+}
+
+function normalizeKeyword(text) {
+  return String(text || '').trim().toLowerCase().replace(/[\s.!।]+$/, '').replace(/\s+/g, ' ');
+}
+
+// Whether a send to chatId must be skipped
+function isSuppressed(chatId, { transactional = false, reply = false } = {}) {
+  if (transactional || !chatId || isGroupId(chatId)) return false;
+  if (reply && optOuts.settings.allowReplies) return false;
+  return !!optOuts.numbers[chatPhone(chatId)];
+}
+
+function addOptOut(chatId, details) {
+  const key = chatPhone(chatId);
+  optOuts.numbers[key] = { phone: `+${key}`, optedOutAt: new Date().toISOString(), ...details };
+  saveOptOuts();
+  emitEvent('opt_out', details.sessionId || null, optOuts.numbers[key]);
+  return optOuts.numbers[key];
+}
+
+function removeOptOut(chatId, sessionId = null) {
+  const key = chatPhone(chatId);
+  if (!optOuts.numbers[key]) return false;
+  delete optOuts.numbers[key];
+  saveOptOuts();
+  emitEvent('opt_in', sessionId, { phone: `+${key}` });
+  return true;
+}
+
+// Confirmation replies when the message is a stop/start keyword, else null.
+// A start keyword from someone who never opted out is left to the usual flow.
+function handleOptOutKeyword(entry) {
+  const keyword = normalizeKeyword(entry.text);
+  const { stopKeywords, startKeywords, stopReply, startReply } = optOuts.settings;
+
+  if (stopKeywords.some(k => normalizeKeyword(k) === keyword)) {
+    addOptOut(entry.from, { reason: 'keyword', keyword: entry.text, sessionId: entry.sessionId });
+    conversations.delete(conversationKey(entry.sessionId, entry.phone));
+    console.log(`🔕 ${entry.phone} opted out`);
+    return [stopReply];
+  }
+
+  if (startKeywords.some(k => normalizeKeyword(k) === keyword) && removeOptOut(entry.from, entry.sessionId)) {
+    console.log(`🔔 ${entry.phone} subscribed again`);
+    return [startReply];
+  }
+  return null;
+}
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+// Subscribers receive a JSON POST per event, signed with their own secret:
+//   X-KRP-Signature: sha256=HMAC_SHA256(secret, `${X-KRP-Timestamp}.${body}`)
+// Failed deliveries are retried with exponential backoff and every attempt is
+// kept in the delivery log (last WEBHOOK_LOG_LIMIT deliveries). The log is
+// written at most once a second, and QR codes (large, and only valid for
+// seconds) are left out of the copy on disk.
+const WEBHOOKS_FILE = 'webhooks.json';
+const WEBHOOK_DELIVERIES_FILE = 'webhook-deliveries.json';
+const WEBHOOK_EVENTS = ['qr', 'authenticated', 'ready', 'disconnected', 'message', 'message_ack', 'poll_vote', 'campaign_finished', 'opt_out', 'opt_in'];
+const webhooks = readDataFile(WEBHOOKS_FILE, {});
+const webhookDeliveries = readDataFile(WEBHOOK_DELIVERIES_FILE, []);
+let webhookDeliveriesSaveTimer = null;
+
+function saveWebhooks() {
+  writeDataFile(WEBHOOKS_FILE, webhooks);
+}
+
+function storedWebhookDelivery(delivery) {
+  if (delivery.event !== 'qr') return delivery;
+  const { qr, qrCode, ...data } = delivery.payload.data;
+  return { ...delivery, payload: { ...delivery.payload, data } };
+}
+
+function saveWebhookDeliveries() {
+  if (webhookDeliveriesSaveTimer) return;
+  webhookDeliveriesSaveTimer = setTimeout(() => {
+    webhookDeliveriesSaveTimer = null;
+    if (webhookDeliveries.length > WEBHOOK_LOG_LIMIT) {
+      webhookDeliveries.splice(0, webhookDeliveries.length - WEBHOOK_LOG_LIMIT);
+    }
+    writeDataFile(WEBHOOK_DELIVERIES_FILE, webhookDeliveries.map(storedWebhookDelivery));
+  }, 1000);
+}
+
+function publicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+function validateWebhookInput({ url, events }) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error();
+  } catch (err) {
+    return 'A valid http(s) url is required';
+  }
+  if (!Array.isArray(events) || !events.length) {
+    return `Events array is required. Available: ${WEBHOOK_EVENTS.join(', ')} or *`;
+  }
+  const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) {
+    return `Unknown events: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function attemptWebhookDelivery(delivery) {
+  const webhook = webhooks[delivery.webhookId];
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Webhook was deleted';
+    saveWebhookDeliveries();
+    return;
+  }
+
+  delivery.attempts++;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'KRP-WhatsApp-Server',
+        'X-KRP-Event': delivery.event,
+        'X-KRP-Delivery': delivery.id,
+        'X-KRP-Timestamp': timestamp,
+        'X-KRP-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: controller.signal
+    });
+
+    delivery.responseStatus = response.status;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date().toISOString();
+    delivery.lastError = null;
+  } catch (error) {
+    delivery.lastError = error.name === 'AbortError' ? 'Timed out' : error.message;
+
+    if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      console.error(`❌ Webhook ${delivery.event} to ${webhook.url} failed permanently:`, delivery.lastError);
+    } else {
+      const delay = WEBHOOK_RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      setTimeout(() => attemptWebhookDelivery(delivery), delay);
+    }
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  saveWebhookDeliveries();
+}
+
+function deliverWebhook(webhook, event, payload) {
+  const delivery = {
+    id: generateId('dlv'),
+    webhookId: webhook.id,
+    event,
+    status: 'pending',
+    attempts: 0,
+    responseStatus: null,
+    lastError: null,
+    nextAttemptAt: null,
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+    payload
+  };
+
+  webhookDeliveries.push(delivery);
+  attemptWebhookDelivery(delivery);
+  return delivery;
+}
+
+// Publishes to live /events listeners; webhooks only get WEBHOOK_EVENTS
+function emitEvent(event, sessionId, data) {
+  const payload = { event, session: sessionId, timestamp: new Date().toISOString(), data };
+
+  broadcastLiveEvent(event, payload);
+  if (!WEBHOOK_EVENTS.includes(event)) return;
+
+  for (const webhook of Object.values(webhooks)) {
+    if (webhook.active && (webhook.events.includes('*') || webhook.events.includes(event))) {
+      deliverWebhook(webhook, event, payload);
+    }
+  }
+}
+
+// Pick up deliveries that were still being retried when the server stopped.
+// QR codes weren't kept and would have expired anyway.
+function resumeWebhookDeliveries() {
+  for (const delivery of webhookDeliveries) {
+    if (delivery.status === 'pending' && delivery.event === 'qr') {
+      delivery.status = 'failed';
+      delivery.lastError = 'QR code expired before it could be delivered';
+      saveWebhookDeliveries();
+    } else if (delivery.status === 'pending') {
+      const delay = Math.max(Date.parse(delivery.nextAttemptAt || delivery.createdAt) - Date.now(), 0);
+      setTimeout(() => attemptWebhookDelivery(delivery), delay);
+    }
+  }
+}
+
+// ============================================================================
+// DELIVERY RECEIPTS
+// ============================================================================
+
+// Every message we send is recorded by its WhatsApp message id and updated
+// from message_ack events. Statuses only move forward, except to "failed".
+const TRACKED_MESSAGES_FILE = 'messages.json';
+const ACK_STATUS = { '-1': 'failed', 0: 'pending', 1: 'sent', 2: 'delivered', 3: 'read', 4: 'played' };
+const trackedMessages = readDataFile(TRACKED_MESSAGES_FILE, {});
+let trackedMessagesSaveTimer = null;
+
+// Acks arrive in bursts, so batch the writes
+function saveTrackedMessages() {
+  if (trackedMessagesSaveTimer) return;
+  trackedMessagesSaveTimer = setTimeout(() => {
+    trackedMessagesSaveTimer = null;
+    const cutoff = Date.now() - MESSAGE_RETENTION_MS;
+    for (const [id, record] of Object.entries(trackedMessages)) {
+      if (Date.parse(record.createdAt) < cutoff) delete trackedMessages[id];
+    }
+    writeDataFile(TRACKED_MESSAGES_FILE, trackedMessages);
+  }, 1000);
+}
+
+function trackSentMessage(sent, details) {
+  const id = sent.id;
+  const now = new Date().toISOString();
+  const record = {
+    id,
+    sessionId: details.sessionId,
+    to: details.to,
+    source: details.source,
+    outboxId: details.outboxId || null,
+    campaignId: details.campaignId || null,
+    status: 'pending',
+    ack: 0,
+    createdAt: now,
+    sentAt: null,
+    deliveredAt: null,
+    readAt: null,
+    failedAt: null,
+    history: []
+  };
+
+  trackedMessages[id] = record;
+  recordHistory({
+    id,
+    sessionId: details.sessionId,
+    chatId: details.to,
+    direction: 'out',
+    source: details.source,
+    type: details.type || (details.media ? 'media' : 'chat'),
+    body: details.text || null,
+    media: details.media,
+    status: 'pending',
+    timestamp: now
+  });
+  recordMessageAck(id, sent.ack || 0);
+  return record;
+}
+
+function recordMessageAck(id, ack) {
+  const record = trackedMessages[id];
+  if (!record) return null;
+
+  const status = ACK_STATUS[ack];
+  if (!status || (ack !== -1 && ack <= record.ack && record.history.length)) return record;
+
+  const now = new Date().toISOString();
+  record.ack = ack;
+  record.status = status;
+  record.history.push({ status, ack, at: now });
+
+  if (status === 'failed') record.failedAt = now;
+  if (ack >= 1 && !record.sentAt) record.sentAt = now;
+  if (ack >= 2 && !record.deliveredAt) record.deliveredAt = now;
+  if (ack >= 3 && !record.readAt) record.readAt = now;
+
+  try {
+    getHistoryStatements().updateStatus.run(status, id);
+  } catch (error) {
+    console.error('❌ Error saving message history:', error.message);
+  }
+  saveTrackedMessages();
+  return record;
+}
+
+// Look up by WhatsApp message id or by the id /send returned
+function findTrackedMessage(id) {
+  if (trackedMessages[id]) return trackedMessages[id];
+  return Object.values(trackedMessages).find(record => record.outboxId === id);
+}
+
+// ============================================================================
+// CONVERSATION HISTORY
+// ============================================================================
+
+// Every inbound and outbound message (sends, campaigns, schedules, auto and
+// Apps Script replies) is kept in a SQLite database in DATA_DIR. Bodies are
+// indexed with FTS5 for search. Chats are keyed by the contact's number in
+// international format without "+" (the part before "@c.us").
+const HISTORY_DB_FILE = 'history.db';
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_MAX_PAGE_SIZE = 500;
+
+let historyDb = null;
+let historyStatements = null;
+
+// Opened on first use rather than at load, so requiring this file (the tests
+// do) doesn't create a database before DATA_DIR is chosen
+function getHistoryDb() {
+  if (historyDb) return historyDb;
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  historyDb = new Database(path.join(DATA_DIR, HISTORY_DB_FILE));
+  historyDb.pragma('journal_mode = WAL');
+  historyDb.exec(`
+    CREATE TABLE IF NOT EXISTS messages (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      direction TEXT NOT NULL,
+      source TEXT,
+      type TEXT,
+      body TEXT,
+      media TEXT,
+      status TEXT,
+      timestamp TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS messages_by_chat ON messages (phone, timestamp);
+    CREATE INDEX IF NOT EXISTS messages_by_time ON messages (timestamp);
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(body, content='messages', content_rowid='rowid');
+    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts (rowid, body) VALUES (new.rowid, new.body);
+    END;
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, body) VALUES ('delete', old.rowid, old.body);
+    END;
+  `);
+
+  historyStatements = {
+    insert: historyDb.prepare(`
+      INSERT OR IGNORE INTO messages (id, session_id, phone, direction, source, type, body, media, status, timestamp)
+      VALUES (@id, @sessionId, @phone, @direction, @source, @type, @body, @media, @status, @timestamp)
+    `),
+    updateStatus: historyDb.prepare('UPDATE messages SET status = ? WHERE id = ?'),
+    updateMedia: historyDb.prepare('UPDATE messages SET media = ? WHERE id = ?')
+  };
+  return historyDb;
+}
+
+function getHistoryStatements() {
+  getHistoryDb();
+  return historyStatements;
+}
+
+function chatPhone(chatId) {
+  return String(chatId).replace(/@.*$/, '');
+}
+
+function recordHistory({ id, sessionId, chatId, direction, source, type = 'chat', body = null, media = null, status = null, timestamp = new Date().toISOString() }) {
+  try {
+    getHistoryStatements().insert.run({
+      id,
+      sessionId,
+      phone: chatPhone(chatId),
+      direction,
+      source,
+      type,
+      body,
+      media: media ? JSON.stringify({ filename: media.filename, mimetype: media.mimetype, size: media.size }) : null,
+      status,
+      timestamp
+    });
+  } catch (error) {
+    console.error('❌ Error saving message history:', error.message);
+  }
+}
+
+function formatHistoryRow(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    phone: row.phone,
+    direction: row.direction,
+    source: row.source,
+    type: row.type,
+    body: row.body,
+    media: row.media ? JSON.parse(row.media) : null,
+    status: row.status,
+    timestamp: row.timestamp,
+    ...(row.snippet !== undefined && { snippet: row.snippet })
+  };
+}
+
+// Accepts any format normalizePhone understands, or a raw chat id
+function historyPhoneParam(phone) {
+  const normalized = normalizePhone(phone);
+  return normalized.valid ? chatPhone(normalized.chatId) : chatPhone(phone);
+}
+
+function getPageSize(limit) {
+  return Math.min(Math.max(parseInt(limit, 10) || HISTORY_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+}
+
+// Every word must match; words are quoted so FTS operators in the input are
+// treated as text, and the last one matches as a prefix
+function toFtsQuery(text) {
+  const words = String(text).split(/\s+/).filter(Boolean).map(word => `"${word.replace(/"/g, '""')}"`);
+  if (words.length) words[words.length - 1] += '*';
+  return words.join(' ');
+}
+
+function csvEscape(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  return [columns.join(','), ...rows.map(row => columns.map(column => csvEscape(row[column])).join(','))].join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// LIVE EVENTS (SERVER-SENT EVENTS)
+// ============================================================================
+
+// Browsers and dashboards subscribe to GET /events and receive QR refreshes,
+// state changes, incoming messages and send results as they happen.
+// Filters: ?session=<id> and ?events=qr,state,...
+const LIVE_EVENT_HEARTBEAT_MS = 25000;
+const liveEventClients = new Set();
+let liveEventCounter = 0;
+
+function writeLiveEvent(res, event, payload) {
+  res.write(`id: ${++liveEventCounter}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+function broadcastLiveEvent(event, payload) {
+  for (const listener of liveEventClients) {
+    if (listener.sessionId && payload.session && listener.sessionId !== payload.session) continue;
+    if (listener.events && !listener.events.includes(event)) continue;
+    writeLiveEvent(listener.res, event, payload);
+  }
+}
+
+function openLiveEventStream(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const listener = {
+    res,
+    sessionId: req.query.session || null,
+    events: req.query.events ? String(req.query.events).split(',').map(e => e.trim()) : null
+  };
+  liveEventClients.add(listener);
+
+  // Start every stream with the current state so clients don't need to poll first
+  const snapshot = [...sessions.values()]
+    .filter(session => !listener.sessionId || session.id === listener.sessionId)
+    .map(session => ({ ...summarizeSession(session), qrCode: session.qrCodeData || null }));
+  writeLiveEvent(res, 'snapshot', { event: 'snapshot', session: listener.sessionId, timestamp: new Date().toISOString(), data: { sessions: snapshot } });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_EVENT_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    liveEventClients.delete(listener);
+  });
+}
+
+// ============================================================================
+// PHONE NUMBERS
+// ============================================================================
+
+// Numbers are parsed to E.164, reading national formats ("098765 43210") as
+// DEFAULT_COUNTRY. Whether a number is on WhatsApp is asked through
+// getNumberId and cached, negative answers for a shorter time.
+const numberIdCache = new Map();
+
+// Returns { valid, input, e164, country, chatId } or { valid: false, input, error }
+function normalizePhone(phone) {
+  const input = String(phone == null ? '' : phone).trim();
+  let parsed = parsePhoneNumberFromString(input, DEFAULT_COUNTRY);
+
+  // International numbers are often written without the "+" ("447911123456")
+  if (!(parsed && parsed.isValid()) && /^[0-9\s()-]+$/.test(input)) {
+    const international = parsePhoneNumberFromString('+' + input.replace(/[^0-9]/g, '').replace(/^0+/, ''));
+    if (international && international.isValid()) parsed = international;
+  }
+
+  if (!parsed || !parsed.isValid()) {
+    return { valid: false, input, error: 'Invalid phone number' };
+  }
+
+  return {
+    valid: true,
+    input,
+    e164: parsed.number,
+    country: parsed.country || null,
+    chatId: parsed.number.slice(1) + '@c.us'
+  };
+}
+
+// Group ids ("120363...@g.us") pass through unchanged
+const GROUP_ID_PATTERN = /^\d+(-\d+)?@g\.us$/;
+
+function isGroupId(chatId) {
+  return GROUP_ID_PATTERN.test(String(chatId));
+}
+
+// null when the number can't be parsed
+function toChatId(phone) {
+  if (isGroupId(phone)) return String(phone);
+  const normalized = normalizePhone(phone);
+  return normalized.valid ? normalized.chatId : null;
+}
+
+// The id WhatsApp knows the number by, or null when it isn't registered.
+// Throws when the lookup itself fails so the caller can try again later.
+async function resolveWhatsAppId(sessionId, chatId) {
+  if (isGroupId(chatId)) return chatId;
+
+  const cached = numberIdCache.get(chatId);
+  if (cached && cached.expiresAt > Date.now()) return cached.id;
+
+  const id = await getSession(sessionId).transport.getNumberId(chatId);
+  numberIdCache.set(chatId, {
+    id,
+    expiresAt: Date.now() + (id ? NUMBER_CHECK_CACHE_MS : NUMBER_CHECK_MISS_CACHE_MS)
+  });
+  return id;
+}
+
+// ============================================================================
+// GROUPS
+// ============================================================================
+
+// Group routes take the id with or without "@g.us". Participants are given
+// as phone numbers in any format normalizePhone understands.
+function toGroupId(id) {
+  const groupId = String(id).endsWith('@g.us') ? String(id) : `${id}@g.us`;
+  return isGroupId(groupId) ? groupId : null;
+}
+
+// Throws an Error with status 404 unless this number is in the group
+async function getGroupChat(session, id) {
+  const groupId = toGroupId(id);
+  const chat = groupId && await session.transport.getChat(groupId).catch(error => {
+    if (error.status) throw error;
+    return null;
+  });
+  if (!chat || !chat.isGroup) {
+    const error = new Error('Group not found');
+    error.status = 404;
+    throw error;
+  }
+  return chat;
+}
+
+function toParticipantIds(phones) {
+  const chatIds = [];
+  const invalid = [];
+  for (const phone of Array.isArray(phones) ? phones : []) {
+    const chatId = toChatId(phone);
+    if (chatId && !isGroupId(chatId)) chatIds.push(chatId);
+    else invalid.push(phone);
+  }
+  return { chatIds, invalid };
+}
+
+function summarizeGroup(chat) {
+  const metadata = chat.groupMetadata || {};
+  return {
+    id: chat.id._serialized,
+    name: chat.name,
+    description: metadata.desc || null,
+    participantCount: (metadata.participants || []).length,
+    messagesAdminsOnly: !!metadata.announce,
+    infoAdminsOnly: !!metadata.restrict,
+    unreadCount: chat.unreadCount || 0
+  };
+}
+
+function describeGroup(chat) {
+  const metadata = chat.groupMetadata || {};
+  return {
+    ...summarizeGroup(chat),
+    owner: metadata.owner ? metadata.owner._serialized : null,
+    createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+    participants: (metadata.participants || []).map(participant => ({
+      id: participant.id._serialized,
+      phone: participant.id.user,
+      isAdmin: !!participant.isAdmin,
+      isSuperAdmin: !!participant.isSuperAdmin
+    }))
+  };
+}
+
+// Applies whichever of name, description, messagesAdminsOnly, infoAdminsOnly
+// and addMembersAdminsOnly are given. WhatsApp answers false, rather than
+// throwing, when this number isn't an admin.
+async function applyGroupSettings(chat, settings) {
+  const actions = {
+    name: value => chat.setSubject(String(value)),
+    description: value => chat.setDescription(String(value)),
+    messagesAdminsOnly: value => chat.setMessagesAdminsOnly(!!value),
+    infoAdminsOnly: value => chat.setInfoAdminsOnly(!!value),
+    addMembersAdminsOnly: value => chat.setAddMembersAdminsOnly(!!value)
+  };
+
+  const updated = [];
+  const failed = [];
+  for (const [key, apply] of Object.entries(actions)) {
+    if (settings[key] === undefined) continue;
+    (await apply(settings[key]) ? updated : failed).push(key);
+  }
+  return { updated, failed };
+}
+
+// ============================================================================
+// OUTBOUND MEDIA
+// ============================================================================
+
+// Media is validated once, written to DATA_DIR/media-out and referenced by id
+// from queued messages and campaigns, so retries and restarts can re-read it.
+const MEDIA_OUT_DIR = path.join(DATA_DIR, 'media-out');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_BYTES, files: 1 }
+});
+
+// Accept an optional multipart "file" field and turn multer errors into 400s
+function acceptUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      const error = err.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large (max ${MEDIA_MAX_BYTES} bytes)`
+        : err.message;
+      return res.status(400).json({ success: false, error });
+    }
+    next();
+  });
+}
+
+// Media URLs come from API callers, so the server must not be usable to reach
+// its own network: loopback, private, link-local (cloud metadata) and other
+// reserved addresses are refused, both as literal hosts and after DNS lookup
+const MEDIA_FETCH_TIMEOUT_MS = 30000;
+const MEDIA_FETCH_MAX_REDIRECTS = 5;
+const BLOCKED_MEDIA_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_MEDIA_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_MEDIA_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isBlockedMediaAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_MEDIA_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_MEDIA_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that fails for blocked addresses, used by the media agents
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    if (addresses.some(isBlockedMediaAddress)) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const mediaAgents = {
+  'http:': new http.Agent({ lookup: lookupPublicAddress }),
+  'https:': new https.Agent({ lookup: lookupPublicAddress })
+};
+
+function checkMediaUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Media URL is not a valid URL');
+  }
+  if (!mediaAgents[parsed.protocol]) {
+    throw new Error('Media URL must use http or https');
+  }
+  // Literal IPs never reach the agent's lookup
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedMediaAddress(host)) {
+    throw new Error('Media URL points to a private address');
+  }
+  return parsed;
+}
+
+function filenameFromUrl(url) {
+  try {
+    return decodeURIComponent(url.pathname.split('/').pop() || '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function fetchMediaFromUrl(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), MEDIA_FETCH_TIMEOUT_MS);
+
+  try {
+    // Redirects are followed here so every hop is checked
+    let target = checkMediaUrl(url);
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      response = await fetch(target.href, {
+        agent: mediaAgents[target.protocol],
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) break;
+      if (redirects >= MEDIA_FETCH_MAX_REDIRECTS) throw new Error('too many redirects');
+      target = checkMediaUrl(new URL(location, target).href);
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const length = parseInt(response.headers.get('content-length'), 10);
+    if (length > MEDIA_MAX_BYTES) {
+      throw new Error(`Media is too large (max ${MEDIA_MAX_BYTES} bytes)`);
+    }
+
+    // Chunked responses have no length to trust: stop reading at the limit
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MEDIA_MAX_BYTES) {
+        controller.abort();
+        throw new Error(`Media is too large (max ${MEDIA_MAX_BYTES} bytes)`);
+      }
+      chunks.push(chunk);
+    }
+
+    return {
+      buffer: Buffer.concat(chunks),
+      mimetype: (response.headers.get('content-type') || '').split(';')[0].trim(),
+      filename: filenameFromUrl(target)
+    };
+  } catch (error) {
+    if (error.message.startsWith('Media ')) throw error;
+    const reason = error.name === 'AbortError' ? 'timed out' : error.message;
+    throw new Error(`Could not download media from URL: ${reason}`);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Validate an upload, base64 payload or URL and store it for sending.
+// Throws an Error with a user-facing message when the input is invalid.
+async function prepareMedia({ file, media = {} }) {
+  let buffer;
+  let mimetype = media.mimetype;
+  let filename = media.filename;
+
+  if (file) {
+    buffer = file.buffer;
+    mimetype = mimetype || file.mimetype;
+    filename = filename || file.originalname;
+  } else if (media.base64 || media.data) {
+    const payload = String(media.base64 || media.data);
+    const dataUrl = payload.match(/^data:([^;]+);base64,(.*)$/s);
+    if (dataUrl) mimetype = mimetype || dataUrl[1];
+    buffer = Buffer.from(dataUrl ? dataUrl[2] : payload, 'base64');
+    if (!buffer.length) throw new Error('Media base64 payload is empty or invalid');
+    if (!mimetype) throw new Error('mimetype is required for base64 media');
+  } else if (media.url) {
+    const downloaded = await fetchMediaFromUrl(media.url);
+    buffer = downloaded.buffer;
+    mimetype = mimetype || downloaded.mimetype;
+    filename = filename || downloaded.filename;
+  } else {
+    throw new Error('Media is required: upload a file, or provide base64 or url');
+  }
+
+  if (buffer.length > MEDIA_MAX_BYTES) {
+    throw new Error(`Media is too large (${buffer.length} bytes, max ${MEDIA_MAX_BYTES})`);
+  }
+  if (!MEDIA_ALLOWED_TYPES.includes(mimetype)) {
+    throw new Error(`Media type "${mimetype || 'unknown'}" is not allowed. Allowed: ${MEDIA_ALLOWED_TYPES.join(', ')}`);
+  }
+
+  const id = generateId('media');
+  fs.mkdirSync(MEDIA_OUT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(MEDIA_OUT_DIR, id), buffer);
+
+  return {
+    id,
+    mimetype,
+    filename: filename || null,
+    size: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    caption: media.caption || null,
+    asDocument: media.asDocument === true || media.asDocument === 'true'
+  };
+}
+
+function deleteMediaFile(media) {
+  if (!media) return;
+  fs.rm(path.join(MEDIA_OUT_DIR, media.id), { force: true }, () => {});
+}
+
+// ============================================================================
+// INBOUND MEDIA
+// ============================================================================
+
+// Attachments on incoming messages (payment screenshots, ID documents, voice
+// notes) are downloaded when they arrive, written to DATA_DIR/media-in and
+// served at /media/:id to callers with the read scope. The processor is given
+// a link signed with ?token=<expiry>.<HMAC(id, expiry)> instead, valid for
+// MEDIA_LINK_TTL_MS from when the message is forwarded. Files past
+// INBOUND_MEDIA_RETENTION_MS are removed by an hourly sweep.
+const MEDIA_IN_DIR = path.join(DATA_DIR, 'media-in');
+const INBOUND_MEDIA_FILE = 'inbound-media.json';
+const MEDIA_LINK_SECRET_FILE = 'media-link-secret.json';
+const INBOUND_MEDIA_DOWNLOAD_TIMEOUT_MS = 60000;
+const INBOUND_MEDIA_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const inboundMedia = readDataFile(INBOUND_MEDIA_FILE, {});
+
+let mediaLinkSecret = MEDIA_LINK_SECRET;
+
+if (!PUBLIC_URL) {
+  console.warn('⚠️  PUBLIC_URL is not set: the processor is told about media from contacts but gets no link to fetch it');
+}
+
+function saveInboundMedia() {
+  writeDataFile(INBOUND_MEDIA_FILE, inboundMedia);
+}
+
+function getMediaLinkSecret() {
+  if (!mediaLinkSecret) {
+    const saved = readDataFile(MEDIA_LINK_SECRET_FILE, {});
+    if (!saved.secret) {
+      saved.secret = crypto.randomBytes(32).toString('hex');
+      writeDataFile(MEDIA_LINK_SECRET_FILE, saved);
+    }
+    mediaLinkSecret = saved.secret;
+  }
+  return mediaLinkSecret;
+}
+
+function signMediaLink(id, expires) {
+  return crypto.createHmac('sha256', getMediaLinkSecret()).update(`${id}.${expires}`).digest('hex');
+}
+
+function createMediaLink(id) {
+  const expires = Date.now() + MEDIA_LINK_TTL_MS;
+  return `${PUBLIC_URL}/media/${id}?token=${expires}.${signMediaLink(id, expires)}`;
+}
+
+function isValidMediaToken(id, token) {
+  const [expires, signature] = String(token).split('.');
+  if (!(Number(expires) > Date.now()) || !signature) return false;
+  const expected = signMediaLink(id, expires);
+  return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// The media summary as the processor gets it, with a fresh signed link
+function withMediaLink(media) {
+  return { ...media, url: media.id && PUBLIC_URL ? createMediaLink(media.id) : null };
+}
+
+function isInboundMediaTypeAllowed(mimetype) {
+  return INBOUND_MEDIA_ALLOWED_TYPES.some(allowed => allowed.endsWith('/*')
+    ? mimetype.startsWith(allowed.slice(0, -1))
+    : mimetype === allowed);
+}
+
+// Download and keep the attachment of a live message. Returns what the
+// processor is told about it: files that are too large, of a type that isn't
+// allowed or can't be downloaded come back with an error instead of a url.
+async function saveIncomingMedia(message, entry) {
+  const summary = {
+    id: null,
+    type: message.type,
+    mimetype: null,
+    filename: null,
+    size: null,
+    caption: entry.text || null,
+    error: null
+  };
+
+  try {
+    const media = await withTimeout(message.downloadMedia(), INBOUND_MEDIA_DOWNLOAD_TIMEOUT_MS, 'Media download timed out');
+    if (!media) throw new Error('Media is no longer available on WhatsApp');
+
+    summary.mimetype = String(media.mimetype || '').split(';')[0].trim();
+    summary.filename = media.filename || null;
+    summary.size = media.data.length;
+
+    if (summary.size > INBOUND_MEDIA_MAX_BYTES) {
+      throw new Error(`Media is too large (${summary.size} bytes, max ${INBOUND_MEDIA_MAX_BYTES})`);
+    }
+    if (!isInboundMediaTypeAllowed(summary.mimetype)) {
+      throw new Error(`Media type "${summary.mimetype || 'unknown'}" is not allowed`);
+    }
+
+    summary.id = generateId('inmedia');
+    fs.mkdirSync(MEDIA_IN_DIR, { recursive: true });
+    fs.writeFileSync(path.join(MEDIA_IN_DIR, summary.id), media.data);
+
+    inboundMedia[summary.id] = {
+      id: summary.id,
+      sessionId: entry.sessionId,
+      messageId: entry.messageId,
+      phone: entry.phone,
+      type: summary.type,
+      mimetype: summary.mimetype,
+      filename: summary.filename,
+      size: summary.size,
+      sha256: crypto.createHash('sha256').update(media.data).digest('hex'),
+      receivedAt: entry.receivedAt
+    };
+    saveInboundMedia();
+    console.log(`📎 Saved ${summary.type} from ${entry.phone} (${summary.mimetype}, ${summary.size} bytes)`);
+  } catch (error) {
+    summary.id = null;
+    summary.error = error.message;
+    console.error(`❌ Could not save media from ${entry.phone}:`, error.message);
+  }
+
+  try {
+    getHistoryStatements().updateMedia.run(JSON.stringify({
+      filename: summary.filename,
+      mimetype: summary.mimetype,
+      size: summary.size,
+      url: summary.id && PUBLIC_URL ? `${PUBLIC_URL}/media/${summary.id}` : null
+    }), entry.messageId);
+  } catch (error) {
+    console.error('❌ Error saving message history:', error.message);
+  }
+  return summary;
+}
+
+function sweepInboundMedia() {
+  const cutoff = Date.now() - INBOUND_MEDIA_RETENTION_MS;
+  let removed = 0;
+  for (const [id, record] of Object.entries(inboundMedia)) {
+    if (Date.parse(record.receivedAt) < cutoff) {
+      fs.rmSync(path.join(MEDIA_IN_DIR, id), { force: true });
+      delete inboundMedia[id];
+      removed++;
+    }
+  }
+
+  if (removed) {
+    saveInboundMedia();
+    console.log(`🧹 Removed ${removed} expired inbound media file(s)`);
+  }
+}
+
+function startInboundMediaSweep() {
+  sweepInboundMedia();
+  setInterval(sweepInboundMedia, INBOUND_MEDIA_SWEEP_INTERVAL_MS);
+}
+
+// ============================================================================
+// POLLS, LOCATIONS AND CONTACT CARDS
+// ============================================================================
+
+// Structured messages travel through the outbound queue like text, as an
+// entry's "content":
+//   { type: 'poll', pollId, question, options, allowMultipleAnswers }
+//   { type: 'location', latitude, longitude, name, address, url }
+//   { type: 'contact', name, phone, organization, email }
+// Polls are tracked in polls.json: every vote_update replaces that voter's
+// choices, so the tallies always show each person's latest answer.
+// Saved locations (academy branches) can be sent by id.
+const POLLS_FILE = 'polls.json';
+const LOCATIONS_FILE = 'locations.json';
+const POLL_MAX_OPTIONS = 12;
+const CONTENT_MESSAGE_TYPES = { poll: 'poll_creation', location: 'location', contact: 'vcard' };
+const polls = readDataFile(POLLS_FILE, {});
+const savedLocations = readDataFile(LOCATIONS_FILE, {});
+
+function savePolls() {
+  writeDataFile(POLLS_FILE, polls);
+}
+
+function saveLocations() {
+  writeDataFile(LOCATIONS_FILE, savedLocations);
+}
+
+// Short text for history, logs and duplicate detection
+function describeContent(content) {
+  if (content.type === 'poll') return `📊 ${content.question}`;
+  if (content.type === 'location') return `📍 ${content.name || `${content.latitude}, ${content.longitude}`}`;
+  return `👤 ${content.name}`;
+}
+
+function vCardEscape(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+function buildVCard({ name, phone, organization, email }) {
+  const digits = chatPhone(toChatId(phone));
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${vCardEscape(name)}`,
+    organization ? `ORG:${vCardEscape(organization)}` : null,
+    `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+    email ? `EMAIL:${vCardEscape(email)}` : null,
+    'END:VCARD'
+  ].filter(Boolean).join('\n');
+}
+
+// Each returns [content, error]
+function parsePollInput({ question, options, allowMultipleAnswers }) {
+  const choices = Array.isArray(options) ? options.map(o => String(o).trim()).filter(Boolean) : [];
+  if (!question || typeof question !== 'string' || !question.trim()) return [null, 'question is required'];
+  if (choices.length < 2 || choices.length > POLL_MAX_OPTIONS) {
+    return [null, `options must list between 2 and ${POLL_MAX_OPTIONS} choices`];
+  }
+  if (new Set(choices).size !== choices.length) return [null, 'options must be different from each other'];
+
+  return [{
+    type: 'poll',
+    question: question.trim(),
+    options: choices,
+    allowMultipleAnswers: allowMultipleAnswers === true || allowMultipleAnswers === 'true'
+  }, null];
+}
+
+function parseLocationInput({ latitude, longitude, name, address, url }) {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (Number.isNaN(lat) || lat < -90 || lat > 90 || Number.isNaN(lng) || lng < -180 || lng > 180) {
+    return [null, 'latitude (-90 to 90) and longitude (-180 to 180) are required'];
+  }
+  if (url && !/^https?:\/\//i.test(url)) return [null, 'url must start with http:// or https://'];
+
+  return [{
+    type: 'location',
+    latitude: lat,
+    longitude: lng,
+    name: name ? String(name) : null,
+    address: address ? String(address) : null,
+    url: url || null
+  }, null];
+}
+
+function parseContactInput({ name, phone, organization, email }) {
+  if (!name || typeof name !== 'string' || !name.trim()) return [null, 'contact name is required'];
+  const chatId = toChatId(phone);
+  if (!chatId || isGroupId(chatId)) return [null, 'contact phone must be a valid phone number'];
+
+  return [{
+    type: 'contact',
+    name: name.trim(),
+    phone: `+${chatPhone(chatId)}`,
+    organization: organization ? String(organization) : null,
+    email: email ? String(email) : null
+  }, null];
+}
+
+function createPoll(sessionId, chatId, content) {
+  const poll = {
+    id: generateId('poll'),
+    sessionId,
+    chatId,
+    question: content.question,
+    options: content.options,
+    allowMultipleAnswers: content.allowMultipleAnswers,
+    outboxId: null,
+    messageId: null,
+    createdAt: new Date().toISOString(),
+    sentAt: null,
+    votes: {}
+  };
+
+  polls[poll.id] = poll;
+  savePolls();
+  return poll;
+}
+
+// Called once the poll message is out, so votes can be matched to it
+function recordPollSent(pollId, messageId) {
+  const poll = polls[pollId];
+  if (!poll) return;
+  poll.messageId = messageId;
+  poll.sentAt = new Date().toISOString();
+  savePolls();
+}
+
+// vote is { pollMessageId, voter, selectedOptions: [{ name, localId }],
+// timestamp, question?, options? }. Polls created on the phone are picked up
+// from their first vote when the transport knows their question and options.
+function recordPollVote(session, vote) {
+  let poll = Object.values(polls).find(p => p.messageId === vote.pollMessageId);
+  if (!poll) {
+    if (!vote.question || !vote.options) return null;
+    poll = createPoll(session.id, null, { question: vote.question, options: vote.options, allowMultipleAnswers: false });
+    poll.messageId = vote.pollMessageId;
+    console.log(`📊 Tracking poll "${poll.question}" [${session.id}] from its first vote`);
+  }
+
+  const choices = vote.selectedOptions
+    .map(option => option.name || poll.options[option.localId])
+    .filter(option => poll.options.includes(option));
+
+  if (choices.length) {
+    poll.votes[vote.voter] = {
+      options: choices,
+      votedAt: new Date(vote.timestamp || Date.now()).toISOString()
+    };
+  } else {
+    // Deselecting everything withdraws the vote
+    delete poll.votes[vote.voter];
+  }
+
+  savePolls();
+  console.log(`🗳️  Vote on "${poll.question}" from ${chatPhone(vote.voter)}: ${choices.join(', ') || '(withdrawn)'}`);
+  return { poll, choices };
+}
+
+function summarizePoll(poll) {
+  const outboxEntry = poll.outboxId && outbox[poll.outboxId];
+  return {
+    id: poll.id,
+    sessionId: poll.sessionId,
+    to: poll.chatId,
+    question: poll.question,
+    options: poll.options,
+    allowMultipleAnswers: poll.allowMultipleAnswers,
+    status: poll.messageId ? 'sent' : outboxEntry ? outboxEntry.status : 'unknown',
+    messageId: poll.messageId,
+    voterCount: Object.keys(poll.votes).length,
+    createdAt: poll.createdAt,
+    sentAt: poll.sentAt
+  };
+}
+
+function getPollResults(poll) {
+  const votes = Object.entries(poll.votes);
+  return {
+    ...summarizePoll(poll),
+    results: poll.options.map(option => {
+      const voters = votes
+        .filter(([, vote]) => vote.options.includes(option))
+        .map(([voter, vote]) => ({ phone: chatPhone(voter), votedAt: vote.votedAt }));
+      return { option, votes: voters.length, voters };
+    })
+  };
+}
+
+// ============================================================================
+// RATE GOVERNOR
+// ============================================================================
+
+// Every send from a number (queue, campaigns, replies) takes the number's
+// send slot with claimSendSlot first and reports back through
+// recordSendAttempt. Only one send per number is on the wire at a time, so
+// sends from different paths can't slip in together. Sends are spaced by
+// BULK_SEND_DELAY_MS plus random jitter, stop at the minute/hour/day caps
+// and slow down exponentially while sends keep failing. State is persisted
+// so the daily cap survives restarts.
+const GOVERNOR_FILE = 'send-governor.json';
+const governor = readDataFile(GOVERNOR_FILE, { sessions: {}, recent: {} });
+const SEND_WINDOWS = [
+  { limit: 'minute', ms: 60 * 1000, max: SEND_LIMIT_PER_MINUTE },
+  { limit: 'hour', ms: 60 * 60 * 1000, max: SEND_LIMIT_PER_HOUR },
+  { limit: 'day', ms: 24 * 60 * 60 * 1000, max: SEND_LIMIT_PER_DAY }
+];
+let governorSaveTimer = null;
+// Sessions with a send on the wire (not persisted: a restart ends them)
+const sendsInFlight = new Set();
+
+function saveGovernor() {
+  if (governorSaveTimer) return;
+  governorSaveTimer = setTimeout(() => {
+    governorSaveTimer = null;
+    const now = Date.now();
+    for (const state of Object.values(governor.sessions)) {
+      state.sends = state.sends.filter(t => t > now - SEND_WINDOWS[2].ms);
+    }
+    for (const [key, sentAt] of Object.entries(governor.recent)) {
+      if (sentAt <= now - DUPLICATE_WINDOW_MS) delete governor.recent[key];
+    }
+    writeDataFile(GOVERNOR_FILE, governor);
+  }, 1000);
+}
+
+function getGovernorState(sessionId) {
+  if (!governor.sessions[sessionId]) {
+    governor.sessions[sessionId] = { sends: [], lastSendAt: 0, gapMs: 0, consecutiveFailures: 0 };
+  }
+  return governor.sessions[sessionId];
+}
+
+// The first exhausted cap as { limit, retryAfterMs }, or null
+function getQuotaBlock(sessionId, limits = null) {
+  const { sends } = getGovernorState(sessionId);
+  const now = Date.now();
+
+  for (const window of SEND_WINDOWS.filter(w => !limits || limits.includes(w.limit))) {
+    const inWindow = sends.filter(t => t > now - window.ms);
+    if (inWindow.length >= window.max) {
+      return { limit: window.limit, retryAfterMs: inWindow[inWindow.length - window.max] + window.ms - now };
+    }
+  }
+  return null;
+}
+
+// How long this number has to wait before its next send; limit says why
+function getSendDelay(sessionId) {
+  const block = getQuotaBlock(sessionId);
+  if (block) return { delayMs: block.retryAfterMs, limit: block.limit };
+
+  const state = getGovernorState(sessionId);
+  if (sendsInFlight.has(sessionId)) return { delayMs: Math.max(state.gapMs, BULK_SEND_DELAY_MS), limit: 'pacing' };
+
+  const delayMs = Math.max(state.lastSendAt + state.gapMs - Date.now(), 0);
+  return { delayMs, limit: delayMs ? 'pacing' : null };
+}
+
+// Like getSendDelay, but when there is nothing to wait for (delayMs 0) the
+// slot is taken there and then, until recordSendAttempt or releaseSendSlot
+function claimSendSlot(sessionId) {
+  const delay = getSendDelay(sessionId);
+  if (!delay.delayMs) sendsInFlight.add(sessionId);
+  return delay;
+}
+
+// For a claimed slot that ended without a send (recipient skipped or rejected)
+function releaseSendSlot(sessionId) {
+  sendsInFlight.delete(sessionId);
+}
+
+function recordSendAttempt(sessionId, ok, source) {
+  (ok ? metrics.messagesSent : metrics.messagesFailed).inc({ session: sessionId, source });
+  releaseSendSlot(sessionId);
+
+  const state = getGovernorState(sessionId);
+  const now = Date.now();
+  state.sends.push(now);
+  state.lastSendAt = now;
+  state.consecutiveFailures = ok ? 0 : state.consecutiveFailures + 1;
+
+  const overLimit = state.consecutiveFailures - SEND_SLOWDOWN_AFTER_FAILURES + 1;
+  let gapMs = BULK_SEND_DELAY_MS;
+  if (overLimit > 0) {
+    gapMs = Math.min(BULK_SEND_DELAY_MS * Math.pow(2, overLimit), SEND_SLOWDOWN_MAX_MS);
+    console.warn(`🐢 ${state.consecutiveFailures} failed sends in a row [${sessionId}], slowing down to one every ${Math.round(gapMs / 1000)}s`);
+  }
+  state.gapMs = gapMs + Math.floor(Math.random() * SEND_JITTER_MS);
+  saveGovernor();
+}
+
+function getSendQuota(sessionId) {
+  const { sends, consecutiveFailures } = getGovernorState(sessionId);
+  const now = Date.now();
+  const quota = {};
+  for (const window of SEND_WINDOWS) {
+    const used = sends.filter(t => t > now - window.ms).length;
+    quota[window.limit] = { limit: window.max, used, remaining: Math.max(window.max - used, 0) };
+  }
+  return { ...quota, consecutiveFailures, ...getSendDelay(sessionId) };
+}
+
+// Identifies "the same message": its text plus the media content, if any
+function messageFingerprint(message, media) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([message || '', media ? [media.sha256 || media.id, media.caption] : null]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function duplicateKey(sessionId, chatId, fingerprint) {
+  return `${sessionId}:${chatId}:${fingerprint}`;
+}
+
+function rememberSent(sessionId, chatId, fingerprint) {
+  governor.recent[duplicateKey(sessionId, chatId, fingerprint)] = Date.now();
+  saveGovernor();
+}
+
+// Sent within DUPLICATE_WINDOW_MS, or still waiting in the outbound queue
+function isDuplicateSend(sessionId, chatId, fingerprint, ignoreId = null) {
+  const sentAt = governor.recent[duplicateKey(sessionId, chatId, fingerprint)];
+  if (sentAt && sentAt > Date.now() - DUPLICATE_WINDOW_MS) return true;
+
+  return Object.values(outbox).some(e => e.id !== ignoreId && e.sessionId === sessionId &&
+    e.chatId === chatId && e.fingerprint === fingerprint && (e.status === 'queued' || e.status === 'sending'));
+}
+
+// 429 with Retry-After when a cap is used up; returns true if it responded
+function rejectIfOverQuota(res, sessionId, limits = null) {
+  const block = getQuotaBlock(sessionId, limits);
+  if (!block) return false;
+
+  const retryAfter = Math.ceil(block.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ 
+    success: false,
+    error: `Send limit per ${block.limit} reached for this number. Try again in ${retryAfter}s.`,
+    reason: 'rate_limited',
+    limit: block.limit,
+    retryAfter
+  });
+  return true;
+}
+
+// ============================================================================
+// OUTBOUND QUEUE
+// ============================================================================
+
+// Every /send goes through this queue, paced by the rate governor. Messages
+// wait here while WhatsApp is disconnected, failed sends are retried with
+// exponential backoff and, after OUTBOX_MAX_ATTEMPTS, moved to the
+// dead-letter list for an operator to retry.
+const OUTBOX_FILE = 'outbox.json';
+const outbox = readDataFile(OUTBOX_FILE, {});
+const outboxTimers = new Map();
+const outboxRunners = new Set();
+
+// A send interrupted by a restart is retried rather than lost
+for (const entry of Object.values(outbox)) {
+  if (entry.status === 'sending') entry.status = 'queued';
+  if (!entry.sessionId) entry.sessionId = DEFAULT_SESSION_ID;
+}
+
+function saveOutbox() {
+  const cutoff = Date.now() - OUTBOX_SENT_RETENTION_MS;
+  for (const [id, entry] of Object.entries(outbox)) {
+    const finishedAt = entry.status === 'sent' ? entry.sentAt : entry.status === 'rejected' ? entry.createdAt : null;
+    if (finishedAt && Date.parse(finishedAt) < cutoff) {
+      deleteMediaFile(entry.media);
+      delete outbox[id];
+    }
+  }
+  writeDataFile(OUTBOX_FILE, outbox);
+}
+
+// Entries end as sent, dead (gave up after retries) or rejected, with reason
+// invalid_number / not_on_whatsapp / duplicate, which no retry would fix.
+// source "reply" skips duplicate suppression: menus are meant to repeat.
+function enqueueOutbound(sessionId, phone, message, media = null, { source = 'send', transactional = false, content = null } = {}) {
+  const now = new Date().toISOString();
+  const chatId = toChatId(phone);
+  const entry = {
+    id: generateId('msg'),
+    sessionId,
+    source,
+    transactional: !!transactional,
+    phone,
+    chatId,
+    message: message || null,
+    media,
+    content,
+    fingerprint: messageFingerprint(message || (content && describeContent(content)), media),
+    status: chatId ? 'queued' : 'rejected',
+    reason: chatId ? null : 'invalid_number',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: chatId ? null : 'Invalid phone number',
+    createdAt: now,
+    sentAt: null,
+    messageId: null
+  };
+
+  outbox[entry.id] = entry;
+  saveOutbox();
+  return entry;
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(OUTBOX_RETRY_BASE_MS * Math.pow(2, attempts - 1), OUTBOX_RETRY_MAX_MS);
+}
+
+function rejectOutbound(entry, reason, error) {
+  console.warn(`🚫 Message ${entry.id} to ${entry.chatId} rejected: ${error}`);
+  entry.status = 'rejected';
+  entry.reason = reason;
+  entry.lastError = error;
+  metrics.messagesRejected.inc({ session: entry.sessionId, reason });
+  emitEvent('send_result', entry.sessionId, { id: entry.id, to: entry.chatId, status: entry.status, reason });
+  saveOutbox();
+  return false;
+}
+
+async function deliverOutbound(entry) {
+  if (isSuppressed(entry.chatId, { transactional: entry.transactional, reply: entry.source === 'reply' })) {
+    return rejectOutbound(entry, 'suppressed', 'Recipient has opted out');
+  }
+  if (entry.source !== 'reply' && isDuplicateSend(entry.sessionId, entry.chatId, entry.fingerprint, entry.id)) {
+    return rejectOutbound(entry, 'duplicate', 'Same message was already sent to this number recently');
+  }
+  // Callers check getSendDelay first, but another send may have taken the slot since
+  if (claimSendSlot(entry.sessionId).delayMs) return false;
+
+  entry.status = 'sending';
+  entry.attempts++;
+
+  try {
+    const whatsappId = await resolveWhatsAppId(entry.sessionId, entry.chatId);
+    if (!whatsappId) {
+      return rejectOutbound(entry, 'not_on_whatsapp', 'Number is not on WhatsApp');
+    }
+
+    console.log(`📤 Sending message to: ${whatsappId} [${entry.sessionId}] (attempt ${entry.attempts})`);
+    const { content } = entry;
+    const sent = await getSession(entry.sessionId).transport.sendMessage(whatsappId, entry.message, entry.media, { content });
+    recordSendAttempt(entry.sessionId, true, entry.source || 'send');
+    rememberSent(entry.sessionId, entry.chatId, entry.fingerprint);
+    trackSentMessage(sent, {
+      sessionId: entry.sessionId,
+      to: entry.chatId,
+      source: entry.source || 'send',
+      outboxId: entry.id,
+      type: content ? CONTENT_MESSAGE_TYPES[content.type] : null,
+      text: entry.message || (entry.media && entry.media.caption) || (content && describeContent(content)),
+      media: entry.media
+    });
+    if (content && content.type === 'poll') recordPollSent(content.pollId, sent.id);
+    entry.messageId = sent.id;
+    entry.status = 'sent';
+    entry.sentAt = new Date().toISOString();
+    entry.reason = null;
+    entry.lastError = null;
+    emitEvent('send_result', entry.sessionId, { id: entry.id, messageId: entry.messageId, to: entry.chatId, status: 'sent' });
+  } catch (error) {
+    // The transport can't send this kind of message at all: retrying won't help
+    if (error.status === 501) {
+      return rejectOutbound(entry, 'unsupported', error.message);
+    }
+
+    console.error(`❌ Error sending message ${entry.id}:`, error.message);
+    recordSendAttempt(entry.sessionId, false, entry.source || 'send');
+    entry.reason = 'send_failed';
+    entry.lastError = error.message;
+
+    if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+      entry.status = 'dead';
+      console.error(`☠️  Message ${entry.id} moved to dead-letter list`);
+    } else {
+      entry.status = 'queued';
+      entry.nextAttemptAt = new Date(Date.now() + getRetryDelay(entry.attempts)).toISOString();
+    }
+    emitEvent('send_result', entry.sessionId, { id: entry.id, to: entry.chatId, status: entry.status, reason: entry.reason, error: error.message });
+  } finally {
+    releaseSendSlot(entry.sessionId);
+  }
+
+  saveOutbox();
+  return entry.status === 'sent';
+}
+
+function scheduleOutbox(sessionId) {
+  clearTimeout(outboxTimers.get(sessionId));
+  outboxTimers.delete(sessionId);
+
+  const next = Object.values(outbox)
+    .filter(e => e.sessionId === sessionId && e.status === 'queued')
+    .map(e => Date.parse(e.nextAttemptAt))
+    .sort((a, b) => a - b)[0];
+
+  if (next !== undefined && isSessionReady(sessionId)) {
+    const delay = Math.max(next - Date.now(), getSendDelay(sessionId).delayMs, 0);
+    outboxTimers.set(sessionId, setTimeout(() => processOutbox(sessionId), delay));
+  }
+}
+
+// Each session drains its own part of the queue independently
+async function processOutbox(sessionId) {
+  if (outboxRunners.has(sessionId)) return;
+  outboxRunners.add(sessionId);
+
+  try {
+    let entry;
+    while (isSessionReady(sessionId) && !getSendDelay(sessionId).delayMs && (entry = Object.values(outbox)
+      .filter(e => e.sessionId === sessionId && e.status === 'queued' && Date.parse(e.nextAttemptAt) <= Date.now())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0])) {
+      await deliverOutbound(entry);
+    }
+  } finally {
+    outboxRunners.delete(sessionId);
+    scheduleOutbox(sessionId);
+  }
+}
+
+// ============================================================================
+// MESSAGE TEMPLATES
+// ============================================================================
+
+// Templates use {{variable}} placeholders, inline defaults {{name|Student}},
+// template-level defaults, and {{#if var}}...{{else}}...{{/if}} blocks.
+const TEMPLATES_FILE = 'templates.json';
+const templates = readDataFile(TEMPLATES_FILE, {});
+
+const TEMPLATE_CONDITIONAL = /\{\{#if\s+(\w+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g;
+const TEMPLATE_PLACEHOLDER = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+
+function saveTemplates() {
+  writeDataFile(TEMPLATES_FILE, templates);
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Returns the rendered text and the names of any variables with no value
+function renderTemplate(body, variables = {}, defaults = {}) {
+  const lookup = (name) => isBlank(variables[name]) ? defaults[name] : variables[name];
+  const missing = new Set();
+
+  const text = body
+    .replace(TEMPLATE_CONDITIONAL, (match, name, whenTrue, whenFalse = '') => {
+      const value = lookup(name);
+      return !isBlank(value) && value !== false && value !== 'false' ? whenTrue : whenFalse;
+    })
+    .replace(TEMPLATE_PLACEHOLDER, (match, name, inlineDefault) => {
+      const value = lookup(name);
+      if (!isBlank(value)) return String(value);
+      if (inlineDefault !== undefined) return inlineDefault.trim();
+      missing.add(name);
+      return match;
+    });
+
+  return { text, missing: [...missing] };
+}
+
+function extractTemplateVariables(body) {
+  const names = new Set();
+  const withoutBlockTags = body.replace(/\{\{\s*(#if\s+\w+|else|\/if)\s*\}\}/g, '');
+  for (const match of withoutBlockTags.matchAll(TEMPLATE_PLACEHOLDER)) names.add(match[1]);
+  for (const match of body.matchAll(TEMPLATE_CONDITIONAL)) names.add(match[1]);
+  return [...names];
+}
+
+function validateTemplateInput({ name, body, defaults }) {
+  if (!name || typeof name !== 'string') return 'Template name is required';
+  if (!body || typeof body !== 'string') return 'Template body is required';
+  if (defaults !== undefined && (typeof defaults !== 'object' || Array.isArray(defaults))) {
+    return 'Template defaults must be an object';
+  }
+  return null;
+}
+
+// Recipients can be phone strings or objects: { phone, name, batch, ... }
+// or { phone, variables: { ... } }. Returns per-recipient messages, or the
+// list of recipients whose variables are incomplete.
+function personalizeRecipients(recipients, body, defaults = {}) {
+  const personalized = [];
+  const errors = [];
+
+  recipients.forEach((recipient, index) => {
+    const phone = typeof recipient === 'object' && recipient !== null ? recipient.phone : recipient;
+    if (!phone) {
+      errors.push({ index, phone: null, error: 'Recipient phone is required' });
+      return;
+    }
+
+    const { phone: _, variables, ...attributes } = typeof recipient === 'object' ? recipient : {};
+    const { text, missing } = renderTemplate(body, { ...attributes, ...variables }, defaults);
+
+    if (missing.length) {
+      errors.push({ index, phone, error: 'Missing template variables', missing });
+    } else {
+      personalized.push({ phone: String(phone), message: text });
+    }
+  });
+
+  return { personalized, errors };
+}
+
+// ============================================================================
+// BULK CAMPAIGNS
+// ============================================================================
+
+// Campaigns are processed one at a time per session in the background and
+// saved to disk after every recipient, so a restart resumes from the next
+// pending number.
+const CAMPAIGNS_FILE = 'campaigns.json';
+const campaigns = readDataFile(CAMPAIGNS_FILE, {});
+const campaignRunners = new Set();
+const campaignTimers = new Map();
+
+for (const campaign of Object.values(campaigns)) {
+  if (!campaign.sessionId) campaign.sessionId = DEFAULT_SESSION_ID;
+}
+
+function saveCampaigns() {
+  writeDataFile(CAMPAIGNS_FILE, campaigns);
+}
+
+// recipients: [{ phone, message? }] where message overrides the campaign text
+function createCampaign(sessionId, recipients, message, media = null, options = {}) {
+  const now = new Date().toISOString();
+  const campaign = {
+    id: generateId('cmp'),
+    sessionId,
+    message: message || null,
+    media,
+    status: 'running',
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    templateId: options.templateId || null,
+    scheduleId: options.scheduleId || null,
+    listId: options.listId || null,
+    segmentId: options.segmentId || null,
+    transactional: !!options.transactional,
+    recipients: recipients.map(recipient => {
+      const chatId = toChatId(recipient.phone);
+      const suppressed = chatId && isSuppressed(chatId, { transactional: options.transactional });
+      return {
+        phone: recipient.phone,
+        message: recipient.message || null,
+        status: !chatId ? 'invalid' : suppressed ? 'suppressed' : 'pending',
+        error: !chatId ? 'Invalid phone number' : suppressed ? 'Recipient has opted out' : null,
+        sentAt: null,
+        messageId: null
+      };
+    })
+  };
+
+  campaigns[campaign.id] = campaign;
+  saveCampaigns();
+  return campaign;
+}
+
+function getCampaignCounts(campaign) {
+  const counts = {
+    total: campaign.recipients.length,
+    pending: 0,
+    sent: 0,
+    failed: 0,
+    cancelled: 0,
+    invalid: 0,
+    not_on_whatsapp: 0,
+    duplicate: 0,
+    suppressed: 0
+  };
+  for (const recipient of campaign.recipients) {
+    counts[recipient.status]++;
+  }
+  return counts;
+}
+
+function summarizeCampaign(campaign) {
+  return {
+    id: campaign.id,
+    sessionId: campaign.sessionId,
+    status: campaign.status,
+    createdAt: campaign.createdAt,
+    updatedAt: campaign.updatedAt,
+    startedAt: campaign.startedAt,
+    finishedAt: campaign.finishedAt,
+    counts: getCampaignCounts(campaign)
+  };
+}
+
+function setCampaignStatus(campaign, status) {
+  campaign.status = status;
+  campaign.updatedAt = new Date().toISOString();
+  if (status === 'completed' || status === 'cancelled') {
+    campaign.finishedAt = campaign.updatedAt;
+    deleteMediaFile(campaign.media);
+  }
+  saveCampaigns();
+
+  if (campaign.finishedAt) {
+    emitEvent('campaign_finished', campaign.sessionId, summarizeCampaign(campaign));
+  }
+}
+
+function nextRunnableCampaign(sessionId) {
+  return Object.values(campaigns)
+    .filter(c => c.sessionId === sessionId && c.status === 'running')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+}
+
+// Why a pending recipient must not get the message, or null. Opt-outs are
+// checked again here because they can arrive while a campaign runs.
+function getCampaignSkip(campaign, chatId, fingerprint) {
+  if (isSuppressed(chatId, { transactional: campaign.transactional })) {
+    return { status: 'suppressed', error: 'Recipient has opted out' };
+  }
+  if (isDuplicateSend(campaign.sessionId, chatId, fingerprint)) {
+    return { status: 'duplicate', error: 'Same message was already sent to this number recently' };
+  }
+  return null;
+}
+
+function scheduleCampaigns(sessionId, delayMs) {
+  clearTimeout(campaignTimers.get(sessionId));
+  campaignTimers.set(sessionId, setTimeout(() => {
+    campaignTimers.delete(sessionId);
+    processCampaigns(sessionId);
+  }, delayMs));
+}
+
+async function processCampaigns(sessionId) {
+  if (campaignRunners.has(sessionId)) return;
+  campaignRunners.add(sessionId);
+
+  try {
+    let campaign;
+    while (isSessionReady(sessionId) && (campaign = nextRunnableCampaign(sessionId))) {
+      const recipient = campaign.recipients.find(r => r.status === 'pending');
+
+      if (!recipient) {
+        setCampaignStatus(campaign, 'completed');
+        console.log(`✅ Campaign ${campaign.id} completed`);
+        continue;
+      }
+
+      // Hand the slot back while the rate governor makes us wait
+      const { delayMs, limit } = claimSendSlot(sessionId);
+      if (delayMs) {
+        if (limit !== 'pacing') {
+          console.log(`⏳ Campaign ${campaign.id} waiting ${Math.ceil(delayMs / 1000)}s for the per-${limit} send limit`);
+        }
+        scheduleCampaigns(sessionId, delayMs);
+        break;
+      }
+
+      if (!campaign.startedAt) {
+        campaign.startedAt = new Date().toISOString();
+      }
+
+      const text = recipient.message || campaign.message;
+      const chatId = toChatId(recipient.phone);
+      const fingerprint = messageFingerprint(text, campaign.media);
+
+      try {
+        const skip = getCampaignSkip(campaign, chatId, fingerprint);
+        const whatsappId = !skip && await resolveWhatsAppId(sessionId, chatId);
+        if (whatsappId) {
+          const sent = await getSession(sessionId).transport.sendMessage(whatsappId, text, campaign.media);
+          recordSendAttempt(sessionId, true, 'bulk');
+          rememberSent(sessionId, chatId, fingerprint);
+          trackSentMessage(sent, {
+            sessionId,
+            to: chatId,
+            source: 'bulk',
+            campaignId: campaign.id,
+            text: text || (campaign.media && campaign.media.caption),
+            media: campaign.media
+          });
+          recipient.messageId = sent.id;
+          recipient.status = 'sent';
+          recipient.sentAt = new Date().toISOString();
+          console.log(`✅ Sent to: ${recipient.phone}`);
+        } else if (skip) {
+          Object.assign(recipient, skip);
+          console.warn(`🚫 Skipping ${recipient.phone}: ${skip.error}`);
+        } else {
+          recipient.status = 'not_on_whatsapp';
+          recipient.error = 'Number is not on WhatsApp';
+          console.warn(`🚫 ${recipient.phone} is not on WhatsApp`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to send to ${recipient.phone}:`, error.message);
+        recordSendAttempt(sessionId, false, 'bulk');
+        recipient.status = 'failed';
+        recipient.error = error.message;
+      } finally {
+        releaseSendSlot(sessionId);
+      }
+
+      campaign.updatedAt = new Date().toISOString();
+      saveCampaigns();
+      emitEvent('campaign_progress', sessionId, {
+        campaignId: campaign.id,
+        phone: recipient.phone,
+        status: recipient.status,
+        error: recipient.error,
+        counts: getCampaignCounts(campaign)
+      });
+    }
+  } finally {
+    campaignRunners.delete(sessionId);
+  }
+}
+
+// ============================================================================
+// CONTACT LISTS AND SEGMENTS
+// ============================================================================
+
+// Lists hold contacts keyed by E.164 number: { phone, name, attributes }.
+// Attributes are free-form (batch, course, feeStatus, ...) and double as
+// template variables when a list or segment is the target of /send-bulk.
+// A segment is a saved filter over one list; all of its filters must match.
+const LISTS_FILE = 'lists.json';
+const SEGMENTS_FILE = 'segments.json';
+const SEGMENT_OPERATORS = ['eq', 'neq', 'in', 'contains', 'exists', 'gt', 'lt'];
+const CSV_PHONE_COLUMN = /phone|mobile|whatsapp|number/i;
+const CSV_NAME_COLUMN = /^(student|full|contact)?name$/i;
+const lists = readDataFile(LISTS_FILE, {});
+const segments = readDataFile(SEGMENTS_FILE, {});
+
+function saveLists() {
+  writeDataFile(LISTS_FILE, lists);
+}
+
+function saveSegments() {
+  writeDataFile(SEGMENTS_FILE, segments);
+}
+
+function summarizeList({ contacts, ...list }) {
+  return { ...list, contactCount: Object.keys(contacts).length };
+}
+
+// "Fee Status" -> "feeStatus", so CSV headers work as {{placeholders}}
+function toAttributeName(header) {
+  return String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''));
+}
+
+// Input is { phone, name, ...attributes } or { phone, name, attributes }.
+// Attributes are merged into an existing contact's.
+function buildContact(input, e164, existing = null) {
+  const { phone, name, attributes, ...rest } = input;
+  const now = new Date().toISOString();
+  return {
+    phone: e164,
+    name: name !== undefined ? (isBlank(name) ? null : String(name)) : (existing ? existing.name : null),
+    attributes: { ...(existing ? existing.attributes : {}), ...rest, ...attributes },
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+}
+
+// Adds or updates contacts and reports what happened to each input.
+// rowOffset turns array indexes into the row numbers the caller knows.
+function upsertContacts(list, inputs, { update = true, rowOffset = 0 } = {}) {
+  const report = { total: inputs.length, added: 0, updated: 0, skipped: 0, duplicates: [], invalid: [] };
+  const seen = new Set();
+
+  inputs.forEach((input, index) => {
+    const row = index + rowOffset;
+    const normalized = normalizePhone(input && input.phone);
+    if (!normalized.valid) {
+      report.invalid.push({ row, phone: normalized.input, error: normalized.error });
+      return;
+    }
+    if (seen.has(normalized.e164)) {
+      report.duplicates.push({ row, phone: normalized.e164 });
+      return;
+    }
+    seen.add(normalized.e164);
+
+    const existing = list.contacts[normalized.e164];
+    if (existing && !update) {
+      report.skipped++;
+      return;
+    }
+    list.contacts[normalized.e164] = buildContact(input, normalized.e164, existing);
+    existing ? report.updated++ : report.added++;
+  });
+
+  list.updatedAt = new Date().toISOString();
+  return report;
+}
+
+// mapping is { field: 'CSV column' }, e.g. { phone: 'Mobile No', batch: 'Batch' };
+// only mapped columns are imported. Without one, the first phone-like column
+// ("Mobile No") is the phone, a name column ("Student Name") the name, and
+// every other column an attribute.
+function csvRowsToContacts(rows, mapping = null) {
+  if (mapping) {
+    return rows.map(row => Object.fromEntries(
+      Object.entries(mapping).map(([field, column]) => [field, row[column]])
+    ));
+  }
+
+  return rows.map(row => {
+    const contact = {};
+    for (const [column, value] of Object.entries(row)) {
+      const field = toAttributeName(column);
+      if (!contact.phone && CSV_PHONE_COLUMN.test(field)) contact.phone = value;
+      else if (contact.name === undefined && CSV_NAME_COLUMN.test(field)) contact.name = value;
+      else contact[field] = value;
+    }
+    return contact;
+  });
+}
+
+function contactField(contact, field) {
+  if (field === 'phone' || field === 'name') return contact[field];
+  return contact.attributes[field];
+}
+
+function matchesFilter(contact, { field, op = 'eq', value }) {
+  const actual = contactField(contact, field);
+  const text = v => (isBlank(v) ? '' : String(v).trim().toLowerCase());
+
+  switch (op) {
+    case 'eq': return text(actual) === text(value);
+    case 'neq': return text(actual) !== text(value);
+    case 'in': return [].concat(value).map(text).includes(text(actual));
+    case 'contains': return text(actual).includes(text(value));
+    case 'exists': return value === false ? isBlank(actual) : !isBlank(actual);
+    case 'gt': return Number(actual) > Number(value);
+    case 'lt': return Number(actual) < Number(value);
+    default: return false;
+  }
+}
+
+function queryContacts(list, filters = []) {
+  return Object.values(list.contacts).filter(contact => filters.every(filter => matchesFilter(contact, filter)));
+}
+
+function validateFilters(filters) {
+  if (!Array.isArray(filters)) return 'filters must be an array of { field, op, value }';
+  for (const filter of filters) {
+    if (!filter || !filter.field) return 'Every filter needs a field';
+    if (filter.op && !SEGMENT_OPERATORS.includes(filter.op)) {
+      return `op must be one of: ${SEGMENT_OPERATORS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+function validateSegmentInput({ name, listId, filters }) {
+  if (!name) return 'Segment name is required';
+  if (!lists[listId]) return 'List not found';
+  return validateFilters(filters);
+}
+
+// Contacts as /send-bulk recipients, so attributes fill template variables
+function contactToRecipient(contact) {
+  return { ...contact.attributes, phone: contact.phone, name: contact.name };
+}
+
+// Recipients for a list or segment id, or { error, status }
+function resolveAudience({ listId, segmentId }) {
+  if (segmentId) {
+    const segment = segments[segmentId];
+    if (!segment) return { error: 'Segment not found', status: 404 };
+    if (!lists[segment.listId]) return { error: 'The list behind this segment no longer exists', status: 404 };
+    return { recipients: queryContacts(lists[segment.listId], segment.filters).map(contactToRecipient) };
+  }
+
+  const list = lists[listId];
+  if (!list) return { error: 'List not found', status: 404 };
+  return { recipients: Object.values(list.contacts).map(contactToRecipient) };
+}
+
+// ============================================================================
+// SCHEDULED MESSAGES
+// ============================================================================
+
+// A schedule sends one message (phone) or starts a campaign (recipients) at
+// sendAt and/or on a recurrence: daily or weekly at a local time, or a cron
+// expression, evaluated in the schedule's timezone. Template schedules are
+// rendered at run time so template edits apply to later runs.
+//
+// missedPolicy decides what happens when a run can't go out on time:
+//   send - queue it anyway; the outbox delivers once WhatsApp reconnects
+//   skip - wait up to SCHEDULE_MISSED_GRACE_MS for a connection, then record
+//          the run as missed (also when the server was down at the time)
+// A recurring schedule resumes from the next occurrence, so a long outage
+// produces at most one catch-up run.
+const SCHEDULES_FILE = 'schedules.json';
+const SCHEDULE_RECURRENCE_TYPES = ['daily', 'weekly', 'cron'];
+const SCHEDULE_MISSED_POLICIES = ['send', 'skip'];
+const SCHEDULE_TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const schedules = readDataFile(SCHEDULES_FILE, {});
+
+function saveSchedules() {
+  writeDataFile(SCHEDULES_FILE, schedules);
+}
+
+// Times with an offset are absolute; "2026-10-20T09:00" is read in timezone
+function parseScheduleTime(value, timezone) {
+  const time = DateTime.fromISO(String(value), { zone: timezone });
+  return time.isValid ? time.toJSDate() : null;
+}
+
+function recurrenceToCron(recurrence) {
+  if (recurrence.type === 'cron') return recurrence.expression;
+
+  const [hour, minute] = recurrence.time.split(':').map(Number);
+  const days = recurrence.type === 'weekly'
+    ? recurrence.days.map(day => WEEKDAYS.indexOf(day.toLowerCase())).join(',')
+    : '*';
+  return `${minute} ${hour} * * ${days}`;
+}
+
+// Next run after `after` (never before sendAt), or null when nothing is left
+function getNextRun(schedule, after) {
+  const startAt = schedule.sendAt ? Date.parse(schedule.sendAt) : 0;
+  if (!schedule.recurrence) {
+    return schedule.runCount ? null : new Date(startAt);
+  }
+
+  const from = Math.max(after.getTime(), startAt - 1000);
+  return CronExpressionParser.parse(recurrenceToCron(schedule.recurrence), {
+    currentDate: new Date(from),
+    tz: schedule.timezone
+  }).next().toDate();
+}
+
+function validateScheduleInput(schedule) {
+  if (!sessions.has(schedule.sessionId)) return 'Session not found';
+  if (!schedule.phone === !schedule.recipients) return 'Either phone or a recipients array is required';
+  if (schedule.phone && !toChatId(schedule.phone)) return 'Invalid phone number';
+  if (schedule.recipients && (!Array.isArray(schedule.recipients) || !schedule.recipients.length)) {
+    return 'recipients must be a non-empty array';
+  }
+  if (!schedule.message && !schedule.templateId) return 'message or templateId is required';
+  if (schedule.templateId && !templates[schedule.templateId]) return 'Template not found';
+  if (!DateTime.local().setZone(schedule.timezone).isValid) return `Unknown timezone: ${schedule.timezone}`;
+  if (!SCHEDULE_MISSED_POLICIES.includes(schedule.missedPolicy)) {
+    return `missedPolicy must be one of: ${SCHEDULE_MISSED_POLICIES.join(', ')}`;
+  }
+  if (!schedule.sendAt && !schedule.recurrence) return 'sendAt or recurrence is required';
+
+  if (schedule.sendAt) {
+    const sendAt = parseScheduleTime(schedule.sendAt, schedule.timezone);
+    if (!sendAt) return 'sendAt must be an ISO 8601 date and time';
+    if (!schedule.recurrence && sendAt.getTime() <= Date.now()) return 'sendAt must be in the future';
+  }
+
+  const { recurrence } = schedule;
+  if (recurrence) {
+    if (!SCHEDULE_RECURRENCE_TYPES.includes(recurrence.type)) {
+      return `recurrence.type must be one of: ${SCHEDULE_RECURRENCE_TYPES.join(', ')}`;
+    }
+    if (recurrence.type === 'cron') {
+      try {
+        CronExpressionParser.parse(String(recurrence.expression), { tz: schedule.timezone });
+      } catch (err) {
+        return `Invalid cron expression: ${err.message}`;
+      }
+    } else if (!SCHEDULE_TIME_PATTERN.test(recurrence.time || '')) {
+      return 'recurrence.time must be HH:MM (24-hour)';
+    }
+    if (recurrence.type === 'weekly' && (!Array.isArray(recurrence.days) || !recurrence.days.length ||
+        !recurrence.days.every(day => WEEKDAYS.includes(String(day).toLowerCase())))) {
+      return `recurrence.days must list weekdays: ${WEEKDAYS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// Fills in the derived fields once the input is valid
+function prepareSchedule(schedule) {
+  if (schedule.sendAt) {
+    schedule.sendAt = parseScheduleTime(schedule.sendAt, schedule.timezone).toISOString();
+  }
+  const next = getNextRun(schedule, new Date());
+  schedule.nextRunAt = next ? next.toISOString() : null;
+  schedule.updatedAt = new Date().toISOString();
+  return schedule;
+}
+
+function summarizeSchedule({ runs, ...schedule }) {
+  return { ...schedule, lastRun: runs[runs.length - 1] || null };
+}
+
+// Current outcome of a run: the queued message or the campaign it started
+function describeRun(run) {
+  if (run.outboxId) {
+    const entry = outbox[run.outboxId];
+    const tracked = entry && entry.messageId && trackedMessages[entry.messageId];
+    return { ...run, result: entry ? { status: entry.status, reason: entry.reason, delivery: tracked ? tracked.status : null } : null };
+  }
+  if (run.campaignId && campaigns[run.campaignId]) {
+    const campaign = campaigns[run.campaignId];
+    return { ...run, result: { status: campaign.status, counts: getCampaignCounts(campaign) } };
+  }
+  return run;
+}
+
+function executeSchedule(schedule, run) {
+  const template = schedule.templateId ? templates[schedule.templateId] : null;
+  if (schedule.templateId && !template) {
+    throw new Error('Template not found');
+  }
+
+  const body = template ? template.body : schedule.message;
+  const recipients = schedule.recipients || [{ phone: schedule.phone, variables: schedule.variables }];
+  const { personalized, errors } = personalizeRecipients(recipients, body, template ? template.defaults : {});
+  if (errors.length) {
+    run.recipients = errors;
+    throw new Error(`${errors.length} recipient(s) have missing or invalid data. Nothing was sent.`);
+  }
+
+  if (schedule.phone) {
+    const entry = enqueueOutbound(schedule.sessionId, schedule.phone, personalized[0].message, null, {
+      source: 'schedule',
+      transactional: schedule.transactional
+    });
+    run.outboxId = entry.id;
+    processOutbox(schedule.sessionId);
+  } else {
+    const campaign = createCampaign(schedule.sessionId, personalized, schedule.message, null, {
+      templateId: schedule.templateId,
+      scheduleId: schedule.id,
+      transactional: schedule.transactional
+    });
+    run.campaignId = campaign.id;
+    processCampaigns(schedule.sessionId);
+  }
+}
+
+function runSchedule(schedule) {
+  const now = Date.now();
+  const dueAt = Date.parse(schedule.nextRunAt);
+  const late = now - dueAt > SCHEDULE_MISSED_GRACE_MS;
+  const connected = isSessionReady(schedule.sessionId);
+
+  // Give a dropped connection until the end of the grace period
+  if (schedule.missedPolicy === 'skip' && !connected && !late) return;
+
+  const run = {
+    id: generateId('run'),
+    scheduledFor: schedule.nextRunAt,
+    ranAt: new Date(now).toISOString(),
+    status: 'started',
+    outboxId: null,
+    campaignId: null,
+    error: null
+  };
+
+  if (schedule.missedPolicy === 'skip' && (late || !connected)) {
+    run.status = 'missed';
+    run.error = connected ? 'Server was not running at the scheduled time' : 'WhatsApp was not connected';
+    console.warn(`⏰ Schedule ${schedule.id} missed its ${schedule.nextRunAt} run: ${run.error}`);
+  } else {
+    try {
+      executeSchedule(schedule, run);
+      console.log(`⏰ Schedule ${schedule.id} ran${late ? ' late' : ''} [${schedule.sessionId}]`);
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      console.error(`❌ Schedule ${schedule.id} failed:`, error.message);
+    }
+  }
+
+  schedule.runs.push(run);
+  schedule.runs = schedule.runs.slice(-SCHEDULE_RUN_HISTORY);
+  schedule.runCount++;
+  schedule.lastRunAt = run.ranAt;
+
+  const next = getNextRun(schedule, new Date(Math.max(now, dueAt)));
+  schedule.nextRunAt = next ? next.toISOString() : null;
+  if (!next) schedule.status = 'completed';
+  schedule.updatedAt = new Date().toISOString();
+  saveSchedules();
+
+  emitEvent('schedule_run', schedule.sessionId, { scheduleId: schedule.id, ...run });
+}
+
+function processSchedules() {
+  const now = Date.now();
+  for (const schedule of Object.values(schedules)) {
+    if (schedule.status === 'active' && schedule.nextRunAt && Date.parse(schedule.nextRunAt) <= now) {
+      runSchedule(schedule);
+    }
+  }
+}
+
+function startScheduler() {
+  setInterval(processSchedules, SCHEDULE_TICK_MS);
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+// API keys are stored as SHA-256 hashes; the plain key is only shown once when
+// created. Scopes: read, send, bulk, session:admin, and admin (implies all).
+const API_KEYS_FILE = 'api-keys.json';
+const BOOTSTRAP_KEY_FILE = 'bootstrap-admin-key.txt';
+const API_SCOPES = ['read', 'send', 'bulk', 'session:admin', 'admin'];
+const PUBLIC_ROUTES = ['/health', '/dashboard/login', '/cloud-api/webhook'];
+const apiKeys = readDataFile(API_KEYS_FILE, {});
+
+function saveApiKeys() {
+  writeDataFile(API_KEYS_FILE, apiKeys);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function isAllowedOrigin(origin, callback) {
+  // Requests without an Origin header (server-to-server, curl) are not CORS requests
+  callback(null, !origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin));
+}
+
+function createApiKey(name, scopes) {
+  const key = 'krp_' + crypto.randomBytes(24).toString('hex');
+  const record = {
+    id: generateId('key'),
+    name,
+    scopes,
+    prefix: key.slice(0, 8),
+    hash: hashApiKey(key),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+
+  apiKeys[record.id] = record;
+  saveApiKeys();
+  return { key, record };
+}
+
+function publicApiKey({ hash, ...record }) {
+  return record;
+}
+
+function findApiKey(key) {
+  const hash = hashApiKey(key);
+
+  if (ADMIN_API_KEY && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(hashApiKey(ADMIN_API_KEY)))) {
+    return { id: 'env', name: 'ADMIN_API_KEY', scopes: ['admin'] };
+  }
+
+  return Object.values(apiKeys).find(k => k.hash === hash);
+}
+
+// Pages opened directly in a browser and EventSource streams can't send
+// headers, so only these GET routes take ?api_key=. Anywhere else a key in
+// the URL would end up in access logs, browser history and Referer headers.
+const QUERY_KEY_ROUTES = [/^\/$/, /^\/dashboard$/, /^(\/sessions\/[^/]+)?\/connect$/, /^\/events$/];
+
+function getRequestApiKey(req) {
+  const header = req.get('authorization') || '';
+  if (header.toLowerCase().startsWith('bearer ')) return header.slice(7).trim();
+  if (req.get('x-api-key')) return req.get('x-api-key');
+
+  const fromQuery = req.method === 'GET' && QUERY_KEY_ROUTES.some(route => route.test(req.path));
+  return (fromQuery && req.query.api_key) || '';
+}
+
+function authenticate(req, res, next) {
+  if (PUBLIC_ROUTES.includes(req.path)) return next();
+
+  // Signed media links (given to the processor) stand in for an API key
+  const mediaMatch = req.method === 'GET' && req.query.token && req.path.match(/^\/media\/([^/]+)$/);
+  if (mediaMatch) {
+    if (!isValidMediaToken(mediaMatch[1], req.query.token)) {
+      return res.status(403).json({ success: false, error: 'Media link is invalid or has expired' });
+    }
+    req.mediaLink = true;
+    return next();
+  }
+
+  const key = getRequestApiKey(req);
+  if (!key) {
+    const login = findDashboardLogin(req);
+    if (login) return acceptDashboardLogin(req, res, next, login);
+
+    // Browsers opening a page are sent to the login form instead
+    if (req.method === 'GET' && LOGIN_REDIRECT_ROUTES.includes(req.path)) {
+      return res.redirect('/dashboard/login');
+    }
+    return res.status(401).json({ success: false, error: 'API key required' });
+  }
+
+  const record = findApiKey(key);
+  if (!record) {
+    return res.status(401).json({ success: false, error: 'Invalid API key' });
+  }
+
+  // Only persist usage occasionally to avoid a disk write per request
+  const now = Date.now();
+  if (apiKeys[record.id] && (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > 60000)) {
+    record.lastUsedAt = new Date(now).toISOString();
+    saveApiKeys();
+  }
+
+  req.apiKey = record;
+  next();
+}
+
+function hasScope(req, scope) {
+  const scopes = (req.apiKey && req.apiKey.scopes) || [];
+  return scopes.includes('admin') || scopes.includes(scope);
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req, scope)) return next();
+    res.status(403).json({ success: false, error: `API key is missing required scope: ${scope}` });
+  };
+}
+
+// Make sure there is always a way in on a fresh install. Runs on startup
+// only; the key is written to a file only this user can read, never logged.
+function createBootstrapKey() {
+  if (ADMIN_API_KEY || Object.keys(apiKeys).length) return;
+
+  const { key } = createApiKey('bootstrap admin', ['admin']);
+  const file = path.join(DATA_DIR, BOOTSTRAP_KEY_FILE);
+  fs.writeFileSync(file, key + '\n', { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+  console.log(`🔑 No API keys found. Created a bootstrap admin key in ${file}; delete the file once you have it`);
+}
+
+// Everything registered after this point requires an API key
+app.use(authenticate);
+
+// ============================================================================
+// DASHBOARD
+// ============================================================================
+
+// Office staff sign in at /dashboard/login with a username and password. A
+// login is a random token in an HttpOnly cookie, stored hashed like API keys,
+// and carries the user's scopes, so the page calls the same API routes as
+// everyone else. Cookie requests that change something must also send the
+// X-KRP-Dashboard header, which a form on another site can't add.
+const DASHBOARD_USERS_FILE = 'dashboard-users.json';
+const DASHBOARD_LOGINS_FILE = 'dashboard-logins.json';
+const DASHBOARD_COOKIE = 'krp_dashboard';
+const DASHBOARD_USERNAME_PATTERN = /^[a-zA-Z0-9._-]{2,32}$/;
+const DASHBOARD_DEFAULT_SCOPES = ['read', 'send', 'bulk', 'session:admin'];
+const LOGIN_REDIRECT_ROUTES = ['/', '/dashboard', '/connect'];
+const dashboardUsers = readDataFile(DASHBOARD_USERS_FILE, {});
+const dashboardLogins = readDataFile(DASHBOARD_LOGINS_FILE, {});
+const loginFailures = new Map();
+
+function saveDashboardUsers() {
+  writeDataFile(DASHBOARD_USERS_FILE, dashboardUsers);
+}
+
+function saveDashboardLogins() {
+  const now = Date.now();
+  for (const [hash, login] of Object.entries(dashboardLogins)) {
+    if (Date.parse(login.expiresAt) < now) delete dashboardLogins[hash];
+  }
+  writeDataFile(DASHBOARD_LOGINS_FILE, dashboardLogins);
+}
+
+function publicDashboardUser({ passwordHash, salt, ...user }) {
+  return user;
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return { salt, passwordHash: crypto.scryptSync(String(password), salt, 64).toString('hex') };
+}
+
+function validateDashboardUser({ username, password, scopes }, { requirePassword = true } = {}) {
+  if (!DASHBOARD_USERNAME_PATTERN.test(username || '')) {
+    return 'username must be 2-32 letters, digits, ".", "_" or "-"';
+  }
+  if ((requirePassword || password !== undefined) && String(password || '').length < 8) {
+    return 'password must be at least 8 characters';
+  }
+  if (!Array.isArray(scopes) || !scopes.length) return 'scopes must be a non-empty array';
+  const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+  if (unknown.length) return `Unknown scopes: ${unknown.join(', ')}`;
+  return null;
+}
+
+// The DASHBOARD_PASSWORD login is an admin and is never stored
+function findDashboardUser(username) {
+  if (DASHBOARD_PASSWORD && username === DASHBOARD_USERNAME) {
+    return { username, scopes: ['admin'], env: true };
+  }
+  return dashboardUsers[username] || null;
+}
+
+function verifyDashboardPassword(username, password) {
+  const user = findDashboardUser(username);
+  if (!user || !password) return null;
+
+  const [actual, expected] = user.env
+    ? [hashApiKey(String(password)), hashApiKey(DASHBOARD_PASSWORD)]
+    : [hashPassword(password, user.salt).passwordHash, user.passwordHash];
+  return crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex')) ? user : null;
+}
+
+function getCookie(req, name) {
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// The signed-in user as an API key record, or null
+function findDashboardLogin(req) {
+  const token = getCookie(req, DASHBOARD_COOKIE);
+  const hash = token && hashApiKey(token);
+  const login = hash && dashboardLogins[hash];
+  if (!login || Date.parse(login.expiresAt) < Date.now()) return null;
+
+  const user = findDashboardUser(login.username);
+  if (!user) return null;
+  return { id: `user:${user.username}`, name: user.username, scopes: user.scopes, loginHash: hash };
+}
+
+function acceptDashboardLogin(req, res, next, login) {
+  if (req.method !== 'GET' && req.method !== 'HEAD' && !req.get('x-krp-dashboard')) {
+    return res.status(403).json({ success: false, error: 'X-KRP-Dashboard header required' });
+  }
+  req.apiKey = login;
+  next();
+}
+
+function endDashboardLogins(username) {
+  for (const [hash, login] of Object.entries(dashboardLogins)) {
+    if (login.username === username) delete dashboardLogins[hash];
+  }
+  saveDashboardLogins();
+}
+
+// Wrong passwords are counted per client address
+function getLoginLockout(ip) {
+  const failures = loginFailures.get(ip);
+  return failures && failures.lockedUntil > Date.now() ? failures.lockedUntil - Date.now() : 0;
+}
+
+function recordLoginFailure(ip) {
+  const failures = loginFailures.get(ip) || { count: 0, lockedUntil: 0 };
+  failures.count++;
+  failures.lastFailureAt = Date.now();
+  if (failures.count >= LOGIN_MAX_FAILURES) {
+    failures.count = 0;
+    failures.lockedUntil = Date.now() + LOGIN_LOCKOUT_MS;
+  }
+  loginFailures.set(ip, failures);
+}
+
+// Forget addresses whose lockout is over and that haven't failed for a
+// lockout period, so the map doesn't grow with every address ever seen
+function sweepLoginFailures() {
+  const cutoff = Date.now() - LOGIN_LOCKOUT_MS;
+  for (const [ip, failures] of loginFailures) {
+    if (failures.lockedUntil <= Date.now() && failures.lastFailureAt <= cutoff) loginFailures.delete(ip);
+  }
+}
+
+function startLoginFailureSweep() {
+  setInterval(sweepLoginFailures, LOGIN_LOCKOUT_MS);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+if (!DASHBOARD_PASSWORD && Object.keys(dashboardUsers).length === 0) {
+  console.log('👤 No dashboard logins yet. Set DASHBOARD_PASSWORD or create one with POST /dashboard/users');
+}
+
+const DASHBOARD_STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 0; background: #f2f4f5; color: #1f2b33; }
+  header { display: flex; justify-content: space-between; align-items: center; padding: 12px 24px; background: #075e54; color: #fff; }
+  header h1 { font-size: 20px; margin: 0; }
+  header button { color: #fff; }
+  main { display: grid; grid-template-columns: repeat(auto-fit, minmax(340px, 1fr)); gap: 16px; padding: 16px 24px; }
+  section { background: #fff; border-radius: 8px; padding: 16px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+  section.wide { grid-column: 1 / -1; }
+  h2 { font-size: 16px; margin: 0 0 12px; }
+  label { display: block; margin-bottom: 10px; font-size: 14px; }
+  input, textarea, select { display: block; width: 100%; box-sizing: border-box; margin-top: 4px; padding: 8px; font: inherit; border: 1px solid #c8d0d4; border-radius: 4px; }
+  header select { display: inline-block; width: auto; margin: 0 12px 0 0; padding: 4px; }
+  button { padding: 8px 14px; font: inherit; border: 0; border-radius: 4px; background: #128c7e; color: #fff; cursor: pointer; }
+  button:disabled { opacity: .6; cursor: default; }
+  button.secondary { background: #e4e9eb; color: #1f2b33; }
+  button.danger { background: #c0392b; }
+  button.link { background: none; padding: 0; text-decoration: underline; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e4e9eb; vertical-align: top; }
+  .result { font-size: 14px; margin-left: 8px; }
+  .error { color: #c0392b; }
+  .muted { color: #6b7b83; font-size: 13px; }
+  .bar { height: 8px; background: #e4e9eb; border-radius: 4px; overflow: hidden; min-width: 120px; }
+  .bar div { height: 100%; background: #25d366; }
+  .login { max-width: 320px; margin: 80px auto; }
+`;
+
+function renderLoginPage(error = null) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Sign in - KRP WhatsApp</title>
+  <style>${DASHBOARD_STYLE}</style>
+</head>
+<body>
+  <section class="login">
+    <h2>🎓 KRP WhatsApp Console</h2>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="/dashboard/login">
+      <label>Username <input name="username" autocomplete="username" required autofocus></label>
+      <label>Password <input name="password" type="password" autocomplete="current-password" required></label>
+      <button>Sign in</button>
+    </form>
+  </section>
+</body>
+</html>`;
+}
+
+// The page only talks to the JSON API and the live event stream. It can also
+// be opened with ?api_key=, which it then sends on every request.
+function renderDashboardPage(user) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>KRP WhatsApp Console</title>
+  <style>${DASHBOARD_STYLE}</style>
+</head>
+<body>
+  <header>
+    <h1>🎓 KRP WhatsApp Console</h1>
+    <div><select id="session" title="WhatsApp number"></select> ${escapeHtml(user)} · <button id="signout" class="link">Sign out</button></div>
+  </header>
+  <main>
+    <section>
+      <h2>Connection</h2>
+      <p id="state">Loading…</p>
+      <img id="qr" width="260" alt="WhatsApp QR code" hidden>
+      <p id="qr-help" class="muted" hidden>Open WhatsApp → Linked Devices → Link a device, then scan this code.</p>
+      <button id="restart" class="secondary">Restart</button>
+      <button id="wa-logout" class="danger">Log out WhatsApp</button>
+      <span class="result" id="connection-result"></span>
+    </section>
+
+    <section>
+      <h2>Send a message</h2>
+      <form id="send-form">
+        <label>Phone <input name="phone" required placeholder="98765 43210"></label>
+        <label>Message <textarea name="message" rows="3"></textarea></label>
+        <label>Attachment (optional) <input name="file" type="file"></label>
+        <button>Send</button><span class="result"></span>
+      </form>
+    </section>
+
+    <section>
+      <h2>Bulk send</h2>
+      <form id="bulk-form">
+        <label>Numbers, one per line <textarea name="numbers" rows="3" placeholder="9876543210"></textarea></label>
+        <label>…or a CSV file with a phone column (other columns can be used as {{variables}})
+          <input name="csv" type="file" accept=".csv,text/csv"></label>
+        <label>Message <textarea name="message" rows="3" required placeholder="Hello {{name}}"></textarea></label>
+        <button>Start bulk send</button><span class="result"></span>
+      </form>
+    </section>
+
+    <section class="wide">
+      <h2>Bulk jobs</h2>
+      <table>
+        <thead><tr><th>Started</th><th>Status</th><th>Progress</th><th>Sent / failed / skipped</th><th></th></tr></thead>
+        <tbody id="campaigns"></tbody>
+      </table>
+    </section>
+
+    <section class="wide">
+      <h2>Recent messages</h2>
+      <table>
+        <thead><tr><th>Time</th><th></th><th>Number</th><th>Message</th><th>Status</th></tr></thead>
+        <tbody id="messages"></tbody>
+      </table>
+    </section>
+  </main>
+
+  <script>
+    const apiKey = new URLSearchParams(location.search).get('api_key');
+    const STATES = {
+      initializing: '⏳ Starting…',
+      awaiting_qr: '📲 Scan the QR code to connect',
+      authenticated: '🔐 Authenticated, loading chats…',
+      ready: '✅ Connected',
+      reconnecting: '🔁 Reconnecting…',
+      logged_out: '🚪 Logged out, waiting for a new QR code…',
+      failed: '❌ Connection failed. Press Restart.'
+    };
+    let sessionId = localStorage.getItem('krp.session') || ${JSON.stringify(DEFAULT_SESSION_ID)};
+    let events = null;
+
+    const $ = (id) => document.getElementById(id);
+    const esc = (text) => String(text == null ? '' : text).replace(/[&<>"']/g, (c) => '&#' + c.charCodeAt(0) + ';');
+    const sessionPath = (path) => '/sessions/' + encodeURIComponent(sessionId) + path;
+    const withKey = (url) => apiKey ? url + (url.includes('?') ? '&' : '?') + 'api_key=' + encodeURIComponent(apiKey) : url;
+
+    async function api(method, url, body) {
+      const headers = { 'X-KRP-Dashboard': '1' };
+      if (apiKey) headers['X-API-Key'] = apiKey;
+      if (body && !(body instanceof FormData)) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(body);
+      }
+      const res = await fetch(url, { method, headers, body });
+      if (res.status === 401 && !apiKey) location.href = '/dashboard/login';
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'HTTP ' + res.status);
+      return data;
+    }
+
+    // Runs a form or button action, showing its outcome next to it
+    async function run(button, output, action) {
+      button.disabled = true;
+      output.className = 'result';
+      output.textContent = 'Working…';
+      try {
+        output.textContent = await action();
+      } catch (error) {
+        output.className = 'result error';
+        output.textContent = error.message;
+      } finally {
+        button.disabled = false;
+      }
+    }
+
+    // Collapses bursts of live events into one reload per second
+    function throttle(fn) {
+      let timer = null;
+      return () => {
+        if (!timer) timer = setTimeout(() => { timer = null; fn(); }, 1000);
+      };
+    }
+
+    function showConnection(state, connected, qrCode) {
+      $('state').textContent = STATES[state] || state;
+      if (qrCode) $('qr').src = qrCode;
+      const scanning = !connected && state === 'awaiting_qr' && !!$('qr').getAttribute('src');
+      $('qr').hidden = !scanning;
+      $('qr-help').hidden = !scanning;
+      $('wa-logout').disabled = !connected;
+    }
+
+    async function loadSessions() {
+      const { sessions } = await api('GET', '/sessions');
+      if (!sessions.some((s) => s.id === sessionId)) sessionId = sessions[0] ? sessions[0].id : sessionId;
+      $('session').innerHTML = sessions.map((s) =>
+        '<option value="' + esc(s.id) + '"' + (s.id === sessionId ? ' selected' : '') + '>' + esc(s.name) + '</option>'
+      ).join('');
+    }
+
+    async function loadCampaigns() {
+      const { campaigns } = await api('GET', '/campaigns');
+      const rows = campaigns.filter((c) => c.sessionId === sessionId).slice(0, 10).map((c) => {
+        const n = c.counts;
+        const done = n.total - n.pending;
+        const skipped = n.invalid + n.not_on_whatsapp + n.duplicate + n.suppressed + n.cancelled;
+        const actions = [];
+        if (c.status === 'running') actions.push('<button class="secondary" data-action="pause">Pause</button>');
+        if (c.status === 'paused') actions.push('<button data-action="resume">Resume</button>');
+        if (c.status === 'running' || c.status === 'paused') actions.push('<button class="danger" data-action="cancel">Cancel</button>');
+        actions.push('<a href="' + esc('/campaigns/' + c.id + '/export') + '" data-export="1">CSV</a>');
+        return '<tr data-id="' + esc(c.id) + '">' +
+          '<td>' + esc(new Date(c.createdAt).toLocaleString()) + '</td>' +
+          '<td>' + esc(c.status) + '</td>' +
+          '<td><div class="bar"><div style="width:' + (n.total ? Math.round(done / n.total * 100) : 100) + '%"></div></div>' +
+          '<span class="muted">' + done + ' of ' + n.total + '</span></td>' +
+          '<td>' + n.sent + ' / ' + n.failed + ' / ' + skipped + '</td>' +
+          '<td>' + actions.join(' ') + '</td></tr>';
+      });
+      $('campaigns').innerHTML = rows.join('') || '<tr><td colspan="5" class="muted">No bulk jobs yet</td></tr>';
+    }
+
+    async function loadMessages() {
+      const { messages } = await api('GET', '/history?limit=30&session=' + encodeURIComponent(sessionId));
+      $('messages').innerHTML = messages.map((m) =>
+        '<tr><td>' + esc(new Date(m.timestamp).toLocaleString()) + '</td>' +
+        '<td title="' + (m.direction === 'in' ? 'Received' : 'Sent') + '">' + (m.direction === 'in' ? '⬅️' : '➡️') + '</td>' +
+        '<td>+' + esc(m.phone) + '</td>' +
+        '<td>' + esc(m.body || (m.media ? '📎 ' + m.media.filename : '')) + '</td>' +
+        '<td>' + esc(m.status || '') + '</td></tr>'
+      ).join('') || '<tr><td colspan="5" class="muted">No messages yet</td></tr>';
+    }
+
+    const refreshCampaigns = throttle(loadCampaigns);
+    const refreshMessages = throttle(loadMessages);
+
+    function connectEvents() {
+      if (events) events.close();
+      events = new EventSource(withKey('/events?session=' + encodeURIComponent(sessionId)));
+      events.addEventListener('snapshot', (e) => {
+        const session = JSON.parse(e.data).data.sessions[0];
+        if (session) showConnection(session.state, session.connected, session.qrCode);
+      });
+      events.addEventListener('qr', (e) => showConnection('awaiting_qr', false, JSON.parse(e.data).data.qrCode));
+      events.addEventListener('state', (e) => {
+        const { state, connected } = JSON.parse(e.data).data;
+        showConnection(state, connected);
+      });
+      ['campaign_progress', 'campaign_finished'].forEach((name) => events.addEventListener(name, refreshCampaigns));
+      ['message', 'send_result'].forEach((name) => events.addEventListener(name, refreshMessages));
+    }
+
+    function refreshAll() {
+      $('qr').removeAttribute('src');
+      connectEvents();
+      loadCampaigns().catch((error) => { $('campaigns').innerHTML = '<tr><td colspan="5" class="error">' + esc(error.message) + '</td></tr>'; });
+      loadMessages().catch((error) => { $('messages').innerHTML = '<tr><td colspan="5" class="error">' + esc(error.message) + '</td></tr>'; });
+    }
+
+    $('session').addEventListener('change', (e) => {
+      sessionId = e.target.value;
+      localStorage.setItem('krp.session', sessionId);
+      refreshAll();
+    });
+
+    $('restart').addEventListener('click', (e) => run(e.target, $('connection-result'), async () =>
+      (await api('POST', sessionPath('/restart'))).message));
+
+    $('wa-logout').addEventListener('click', (e) => {
+      if (!confirm('Unlink this WhatsApp number? You will have to scan a new QR code.')) return;
+      run(e.target, $('connection-result'), async () => (await api('POST', sessionPath('/logout'))).message);
+    });
+
+    $('signout').addEventListener('click', async () => {
+      await api('POST', '/dashboard/logout').catch(() => {});
+      location.href = '/dashboard/login';
+    });
+
+    // A key can't go in the link, so key-based downloads go through fetch
+    async function downloadWithKey(url, filename) {
+      const res = await fetch(url, { headers: { 'X-API-Key': apiKey } });
+      if (!res.ok) throw new Error('Download failed: HTTP ' + res.status);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await res.blob());
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    }
+
+    $('campaigns').addEventListener('click', (e) => {
+      if (e.target.dataset.export && apiKey) {
+        e.preventDefault();
+        const id = e.target.closest('tr').dataset.id;
+        downloadWithKey(e.target.getAttribute('href'), 'campaign-' + id + '.csv').catch((error) => alert(error.message));
+        return;
+      }
+      const action = e.target.dataset.action;
+      if (!action) return;
+      if (action === 'cancel' && !confirm('Cancel this bulk job? Messages not sent yet will be dropped.')) return;
+      const id = e.target.closest('tr').dataset.id;
+      api('POST', '/campaigns/' + id + '/' + action).then(loadCampaigns).catch((error) => alert(error.message));
+    });
+
+    $('send-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const form = e.target;
+      const fields = form.elements;
+      run(form.querySelector('button'), form.querySelector('.result'), async () => {
+        const file = fields.file.files[0];
+        let data;
+        if (file) {
+          const body = new FormData();
+          body.append('phone', fields.phone.value);
+          body.append('caption', fields.message.value);
+          body.append('file', file);
+          data = await api('POST', sessionPath('/send-media'), body);
+        } else if (fields.message.value.trim()) {
+          data = await api('POST', sessionPath('/send'), { phone: fields.phone.value, message: fields.message.value });
+        } else {
+          throw new Error('Type a message or attach a file');
+        }
+        form.reset();
+        refreshMessages();
+        return data.message;
+      });
+    });
+
+    // A CSV is imported into a new contact list first, so its columns can be
+    // used as template variables and the upload is kept for later sends
+    $('bulk-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const form = e.target;
+      const fields = form.elements;
+      run(form.querySelector('button'), form.querySelector('.result'), async () => {
+        const csv = fields.csv.files[0];
+        const numbers = fields.numbers.value.split(/[\\n,;]+/).map((n) => n.trim()).filter(Boolean);
+        const payload = { message: fields.message.value };
+        let note = '';
+
+        if (csv) {
+          const { list } = await api('POST', '/lists', { name: 'Dashboard upload ' + new Date().toLocaleString() + ' (' + csv.name + ')' });
+          const upload = new FormData();
+          upload.append('file', csv);
+          const { report } = await api('POST', '/lists/' + list.id + '/import', upload);
+          if (report.invalid.length) note = ', ' + report.invalid.length + ' invalid row(s) left out';
+          payload.listId = list.id;
+        } else if (numbers.length) {
+          payload.recipients = numbers.map((phone) => ({ phone }));
+        } else {
+          throw new Error('Enter numbers or choose a CSV file');
+        }
+
+        const data = await api('POST', sessionPath('/send-bulk'), payload);
+        form.reset();
+        loadCampaigns();
+        const skipped = data.invalid.length + data.suppressed.length;
+        return 'Bulk job started for ' + data.total + ' recipient(s)' + note + (skipped ? ', ' + skipped + ' will be skipped' : '');
+      });
+    });
+
+    loadSessions().catch(() => {}).then(refreshAll);
+  </script>
+</body>
+</html>`;
+}
+
+app.get('/dashboard/login', (req, res) => {
+  if (findDashboardLogin(req)) return res.redirect('/dashboard');
+  res.send(renderLoginPage());
+});
+
+// Sign in with the login form (redirects) or JSON (returns the expiry)
+app.post('/dashboard/login', (req, res) => {
+  const { username, password } = req.body;
+  const asJson = req.is('application/json');
+  const fail = (status, error) => asJson
+    ? res.status(status).json({ success: false, error })
+    : res.status(status).send(renderLoginPage(error));
+
+  const lockedMs = getLoginLockout(req.ip);
+  if (lockedMs) {
+    res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+    return fail(429, `Too many failed attempts. Try again in ${Math.ceil(lockedMs / 60000)} minute(s).`);
+  }
+
+  const user = verifyDashboardPassword(username, password);
+  if (!user) {
+    recordLoginFailure(req.ip);
+    console.warn(`🔒 Failed dashboard login for "${username}" from ${req.ip}`);
+    return fail(401, 'Wrong username or password');
+  }
+
+  loginFailures.delete(req.ip);
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + DASHBOARD_SESSION_MS).toISOString();
+  dashboardLogins[hashApiKey(token)] = { username: user.username, createdAt: now.toISOString(), expiresAt };
+  saveDashboardLogins();
+  if (!user.env) {
+    user.lastLoginAt = now.toISOString();
+    saveDashboardUsers();
+  }
+
+  res.cookie(DASHBOARD_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: DASHBOARD_SESSION_MS
+  });
+  console.log(`🔓 ${user.username} signed in to the dashboard`);
+  if (asJson) return res.json({ success: true, username: user.username, expiresAt });
+  res.redirect(303, '/dashboard');
+});
+
+app.post('/dashboard/logout', (req, res) => {
+  if (req.apiKey.loginHash) {
+    delete dashboardLogins[req.apiKey.loginHash];
+    saveDashboardLogins();
+  }
+  res.clearCookie(DASHBOARD_COOKIE);
+  res.json({ success: true, message: 'Signed out' });
+});
+
+app.get('/dashboard', requireScope('read'), (req, res) => {
+  res.send(renderDashboardPage(req.apiKey.name));
+});
+
+// Dashboard Users
+app.get('/dashboard/users', requireScope('admin'), (req, res) => {
+  res.json({ success: true, users: Object.values(dashboardUsers).map(publicDashboardUser) });
+});
+
+app.post('/dashboard/users', requireScope('admin'), (req, res) => {
+  const { username, password, scopes = DASHBOARD_DEFAULT_SCOPES } = req.body;
+
+  const error = validateDashboardUser({ username, password, scopes });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  if (dashboardUsers[username] || (DASHBOARD_PASSWORD && username === DASHBOARD_USERNAME)) {
+    return res.status(409).json({ success: false, error: 'Username is already taken' });
+  }
+
+  dashboardUsers[username] = {
+    username,
+    scopes,
+    ...hashPassword(password),
+    createdAt: new Date().toISOString(),
+    lastLoginAt: null
+  };
+  saveDashboardUsers();
+  res.status(201).json({ success: true, user: publicDashboardUser(dashboardUsers[username]) });
+});
+
+// Change a user's password or scopes (a new password signs them out everywhere)
+app.put('/dashboard/users/:username', requireScope('admin'), (req, res) => {
+  const user = dashboardUsers[req.params.username];
+  if (!user) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+
+  const { password, scopes = user.scopes } = req.body;
+  const error = validateDashboardUser({ username: user.username, password, scopes }, { requirePassword: false });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  user.scopes = scopes;
+  if (password !== undefined) {
+    Object.assign(user, hashPassword(password));
+    endDashboardLogins(user.username);
+  }
+  saveDashboardUsers();
+  res.json({ success: true, user: publicDashboardUser(user) });
+});
+
+app.delete('/dashboard/users/:username', requireScope('admin'), (req, res) => {
+  if (!dashboardUsers[req.params.username]) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+  delete dashboardUsers[req.params.username];
+  saveDashboardUsers();
+  endDashboardLogins(req.params.username);
+  res.json({ success: true, message: 'User deleted' });
+});
+
+// ============================================================================
+// API ROUTES
+// ============================================================================
+
+// Home route (the dashboard; keeps ?api_key= for key-based access)
+app.get('/', requireScope('read'), (req, res) => {
+  res.redirect('/dashboard' + req.originalUrl.slice(1));
+});
+
+// Health Check
+app.get('/health', (req, res) => {
+  const status = {};
+  for (const session of sessions.values()) {
+    status[session.id] = session.isReady;
+  }
+
+  res.json({ 
+    status: 'ok', 
+    whatsapp: isSessionReady(),
+    sessions: status,
+    processor: processorCircuit.state,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Prometheus metrics (scrape with an API key as bearer_token)
+app.get('/metrics', requireScope('read'), async (req, res) => {
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cloud API webhook verification (Meta calls this once when it is configured)
+app.get('/cloud-api/webhook', (req, res) => {
+  if (CLOUD_API_VERIFY_TOKEN && req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === CLOUD_API_VERIFY_TOKEN) {
+    return res.send(String(req.query['hub.challenge'] || ''));
+  }
+  res.sendStatus(403);
+});
+
+// Cloud API webhook: inbound messages and delivery statuses
+app.post('/cloud-api/webhook', (req, res) => {
+  if (!verifyCloudApiSignature(req)) {
+    return res.status(401).json({ success: false, error: 'Invalid signature' });
+  }
+
+  for (const entry of req.body.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+      const phoneNumberId = value.metadata && value.metadata.phone_number_id;
+      const session = [...sessions.values()].find(s => s.transport instanceof CloudApiTransport && s.transport.phoneNumberId === phoneNumberId);
+      if (!session) {
+        console.warn(`⚠️  Cloud API webhook for unknown phone number id ${phoneNumberId}`);
+        continue;
+      }
+      session.transport.handleWebhook(value);
+    }
+  }
+  res.sendStatus(200);
+});
+
+// ============================================================================
+// SESSION ROUTES
+// ============================================================================
+
+// These routes work per WhatsApp number: /sessions/:sessionId/send, ... and,
+// for the default session, at the top level (/send, /status, ...).
+const sessionRouter = express.Router({ mergeParams: true });
+
+function resolveSession(req, res, next) {
+  const sessionId = req.params.sessionId || DEFAULT_SESSION_ID;
+  const session = getSession(sessionId);
+  if (!session) {
+    return res.status(404).json({ success: false, error: `Session "${sessionId}" not found` });
+  }
+  req.waSession = session;
+  next();
+}
+
+sessionRouter.use(resolveSession);
+
+// Check WhatsApp Status
+sessionRouter.get('/status', requireScope('read'), (req, res) => {
+  const session = req.waSession;
+  res.json({ 
+    session: session.id,
+    state: session.state,
+    stateDetail: session.stateDetail || null,
+    stateChangedAt: session.stateChangedAt,
+    connected: session.isReady,
+    qrAvailable: !!session.qrCodeData,
+    reconnectAttempts: session.reconnectAttempts,
+    restartCount: session.restartCount,
+    restarts: session.restarts,
+    lastProbe: session.lastProbe,
+    quota: getSendQuota(session.id),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// **NEW** Get QR Code Data (JSON) - This is what the dashboard needs
+sessionRouter.get('/qr', requireScope('read'), (req, res) => {
+  const { isReady, qrCodeData } = req.waSession;
+  if (isReady) {
+    res.json({
+      connected: true,
+      qrCode: null,
+      message: 'WhatsApp is already connected'
+    });
+  } else if (qrCodeData) {
+    res.json({
+      connected: false,
+      qrCode: qrCodeData,
+      message: 'Scan this QR code to connect'
+    });
+  } else {
+    res.json({
+      connected: false,
+      qrCode: null,
+      message: 'Generating QR code... Please wait.'
+    });
+  }
+});
+
+// Display QR Code in browser
+sessionRouter.get('/connect', requireScope('read'), (req, res) => {
+  const { id, isReady, qrCodeData } = req.waSession;
+  // Sections are switched by the live event stream instead of reloading the page
+  res.send(`
+    <div id="connected" style="display:${isReady ? 'block' : 'none'}">
+      <h3>✅ WhatsApp already connected!</h3>
+      <p>Your WhatsApp client is active.</p>
+      <a href="/dashboard">Open the dashboard</a>
+    </div>
+    <div id="scan" style="display:${!isReady && qrCodeData ? 'block' : 'none'}">
+      <h2>📲 Scan this QR Code to connect WhatsApp</h2>
+      <img id="qr" src="${qrCodeData}" width="300" />
+      <p>Open WhatsApp → Linked Devices → Scan this QR</p>
+    </div>
+    <div id="waiting" style="display:${!isReady && !qrCodeData ? 'block' : 'none'}">
+      <h3>⏳ Generating QR code... Please wait.</h3>
+    </div>
+    <p><small id="state"></small></p>
+    <script>
+      const apiKey = new URLSearchParams(location.search).get('api_key') || '';
+      const events = new EventSource('/events?session=${encodeURIComponent(id)}&events=snapshot,qr,state&api_key=' + encodeURIComponent(apiKey));
+      const show = (section) => ['connected', 'scan', 'waiting'].forEach(s => {
+        document.getElementById(s).style.display = s === section ? 'block' : 'none';
+      });
+
+      events.addEventListener('snapshot', (e) => {
+        const session = JSON.parse(e.data).data.sessions[0];
+        if (!session) return;
+        if (session.connected) show('connected');
+        else if (session.qrCode) { document.getElementById('qr').src = session.qrCode; show('scan'); }
+        else show('waiting');
+      });
+      events.addEventListener('qr', (e) => {
+        document.getElementById('qr').src = JSON.parse(e.data).data.qrCode;
+        show('scan');
+      });
+      events.addEventListener('state', (e) => {
+        const { state, connected } = JSON.parse(e.data).data;
+        document.getElementById('state').textContent = 'Status: ' + state;
+        if (connected) show('connected');
+        else if (state !== 'awaiting_qr') show('waiting');
+      });
+    </script>
+  `);
+});
+
+// 409 when the same message went to this number within DUPLICATE_WINDOW_MS
+function rejectIfDuplicate(res, sessionId, phone, message, media = null) {
+  if (!isDuplicateSend(sessionId, toChatId(phone), messageFingerprint(message, media))) return false;
+
+  res.status(409).json({ 
+    success: false,
+    error: 'Same message was already sent to this number recently',
+    reason: 'duplicate'
+  });
+  return true;
+}
+
+// 422 when the recipient opted out, unless the send is marked transactional
+function rejectIfSuppressed(res, phone, transactional) {
+  if (!isSuppressed(toChatId(phone), { transactional })) return false;
+
+  res.status(422).json({ 
+    success: false,
+    error: 'Recipient has opted out',
+    reason: 'suppressed'
+  });
+  return true;
+}
+
+// Numbers that aren't on WhatsApp are not retried
+function sendRejected(res, entry) {
+  res.status(422).json({ 
+    success: false,
+    error: entry.lastError,
+    reason: entry.reason,
+    id: entry.id,
+    statusUrl: `/messages/${entry.id}`,
+    to: entry.chatId
+  });
+}
+
+// Try a queued entry right away when connected so most callers get an
+// immediate answer; otherwise report where it waits. noun: "Message" / "Media";
+// extra fields are added to the response
+async function sendOrQueue(res, session, entry, noun, extra = {}) {
+  const { id: sessionId, isReady } = session;
+
+  if (isReady && !outboxRunners.has(sessionId) && !getSendDelay(sessionId).delayMs && await deliverOutbound(entry)) {
+    return res.json({ 
+      success: true,
+      message: `${noun} sent successfully`,
+      id: entry.id,
+      messageId: entry.messageId,
+      statusUrl: `/messages/${entry.id}`,
+      to: entry.chatId,
+      ...extra
+    });
+  }
+  if (entry.status === 'rejected') {
+    deleteMediaFile(entry.media);
+    return sendRejected(res, entry);
+  }
+
+  scheduleOutbox(sessionId);
+  res.status(202).json({ 
+    success: true,
+    queued: true,
+    message: !isReady
+      ? `WhatsApp is not connected. ${noun} queued and will be sent once connected.`
+      : entry.attempts ? `${noun} queued for retry` : `${noun} queued by the send rate limit`,
+    id: entry.id,
+    statusUrl: `/messages/${entry.id}`,
+    to: entry.chatId,
+    status: entry.status,
+    reason: entry.reason,
+    lastError: entry.lastError,
+    ...extra
+  });
+}
+
+// Send Message (queued, retried automatically on failure)
+sessionRouter.post('/send', requireScope('send'), async (req, res) => {
+  const { phone, message } = req.body;
+  const transactional = req.body.transactional === true || req.body.transactional === 'true';
+
+  if (!phone || !message) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Phone and message are required' 
+    });
+  }
+
+  if (!toChatId(phone)) {
+    return res.status(400).json({ success: false, error: 'Invalid phone number', reason: 'invalid_number' });
+  }
+
+  const { id: sessionId } = req.waSession;
+  if (rejectIfSuppressed(res, phone, transactional)) return;
+  if (rejectIfOverQuota(res, sessionId) || rejectIfDuplicate(res, sessionId, phone, message)) return;
+
+  const entry = enqueueOutbound(sessionId, phone, message, null, { transactional });
+  await sendOrQueue(res, req.waSession, entry, 'Message');
+});
+
+// Send Media (image, PDF or document; multipart "file", base64 or url)
+sessionRouter.post('/send-media', requireScope('send'), acceptUpload, async (req, res) => {
+  const { phone, caption, filename, mimetype, base64, data, url, asDocument } = req.body;
+  const transactional = req.body.transactional === true || req.body.transactional === 'true';
+
+  if (!phone) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Phone is required' 
+    });
+  }
+  if (!toChatId(phone)) {
+    return res.status(400).json({ success: false, error: 'Invalid phone number', reason: 'invalid_number' });
+  }
+
+  const { id: sessionId } = req.waSession;
+  if (rejectIfSuppressed(res, phone, transactional) || rejectIfOverQuota(res, sessionId)) return;
+
+  let media;
+  try {
+    media = await prepareMedia({
+      file: req.file,
+      media: { caption, filename, mimetype, base64, data, url, asDocument }
+    });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (rejectIfDuplicate(res, sessionId, phone, null, media)) {
+    return deleteMediaFile(media);
+  }
+
+  const entry = enqueueOutbound(sessionId, phone, null, media, { transactional });
+  await sendOrQueue(res, req.waSession, entry, 'Media');
+});
+
+// Queue a poll, location or contact card for /send-poll, /send-location and
+// /send-contact. "phone" is a number or group id, or "groupId" names a group.
+// Returns null when it already answered with an error.
+function enqueueContent(req, res, content) {
+  const { phone, groupId } = req.body;
+  const transactional = req.body.transactional === true || req.body.transactional === 'true';
+  const to = groupId ? toGroupId(groupId) : phone;
+
+  if (!to || !toChatId(to)) {
+    res.status(400).json({ success: false, error: 'A valid phone or groupId is required', reason: 'invalid_number' });
+    return null;
+  }
+
+  const { id: sessionId } = req.waSession;
+  if (rejectIfSuppressed(res, to, transactional) || rejectIfOverQuota(res, sessionId)) return null;
+  if (content.type !== 'poll' && rejectIfDuplicate(res, sessionId, to, describeContent(content))) return null;
+
+  if (content.type !== 'poll') {
+    return enqueueOutbound(sessionId, to, null, null, { transactional, content });
+  }
+
+  const poll = createPoll(sessionId, toChatId(to), content);
+  const entry = enqueueOutbound(sessionId, to, null, null, { transactional, content: { ...content, pollId: poll.id } });
+  poll.outboxId = entry.id;
+  savePolls();
+  return entry;
+}
+
+// Send Poll: { phone | groupId, question, options: [...], allowMultipleAnswers? }
+sessionRouter.post('/send-poll', requireScope('send'), async (req, res) => {
+  const [content, error] = parsePollInput(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const entry = enqueueContent(req, res, content);
+  if (!entry) return;
+
+  const { pollId } = entry.content;
+  await sendOrQueue(res, req.waSession, entry, 'Poll', { pollId, resultsUrl: `/polls/${pollId}/results` });
+});
+
+// Send Location: { phone | groupId, locationId } for a saved location, or
+// { phone | groupId, latitude, longitude, name?, address?, url? }
+sessionRouter.post('/send-location', requireScope('send'), async (req, res) => {
+  let input = req.body;
+  if (req.body.locationId) {
+    input = savedLocations[req.body.locationId];
+    if (!input) {
+      return res.status(404).json({ success: false, error: 'Location not found' });
+    }
+  }
+
+  const [content, error] = parseLocationInput(input);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const entry = enqueueContent(req, res, content);
+  if (entry) await sendOrQueue(res, req.waSession, entry, 'Location');
+});
+
+// Send Contact Card: { phone | groupId, contact: { name, phone, organization?, email? } }
+sessionRouter.post('/send-contact', requireScope('send'), async (req, res) => {
+  const [content, error] = parseContactInput(req.body.contact || {});
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const entry = enqueueContent(req, res, content);
+  if (entry) await sendOrQueue(res, req.waSession, entry, 'Contact');
+});
+
+// Send Bulk Messages (runs in the background as a campaign)
+// Accepts JSON, or multipart with a "file" field to send the same media to everyone
+sessionRouter.post('/send-bulk', requireScope('bulk'), acceptUpload, async (req, res) => {
+  let { recipients, message, media, templateId, listId, segmentId } = req.body;
+  const transactional = req.body.transactional === true || req.body.transactional === 'true';
+
+  // A saved list or segment can stand in for the recipients array
+  if (listId || segmentId) {
+    const audience = resolveAudience({ listId, segmentId });
+    if (audience.error) {
+      return res.status(audience.status).json({ success: false, error: audience.error });
+    }
+    if (!audience.recipients.length) {
+      return res.status(400).json({ success: false, error: 'The list or segment has no contacts' });
+    }
+    recipients = audience.recipients;
+  }
+
+  // Multipart forms send recipients as a JSON array or comma-separated string
+  if (typeof recipients === 'string') {
+    try {
+      recipients = JSON.parse(recipients);
+    } catch (err) {
+      recipients = recipients.split(',').map(p => p.trim()).filter(Boolean);
+    }
+  }
+  if (typeof media === 'string') {
+    try {
+      media = JSON.parse(media);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: 'media must be a JSON object' });
+    }
+  }
+
+  const hasMedia = !!(req.file || media);
+  if (!recipients || !Array.isArray(recipients) || (!message && !templateId && !hasMedia)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Recipients array (or listId / segmentId) and message (or templateId or media) are required' 
+    });
+  }
+
+  const template = templateId ? templates[templateId] : null;
+  if (templateId && !template) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+
+  // Render every recipient up front so nothing is sent if any variables are missing
+  const body = template ? template.body : (message || '');
+  const { personalized, errors } = personalizeRecipients(recipients, body, template ? template.defaults : {});
+  if (errors.length) {
+    return res.status(400).json({ 
+      success: false,
+      error: `${errors.length} recipient(s) have missing or invalid data. Nothing was sent.`,
+      recipients: errors
+    });
+  }
+
+  // Minute and hour caps only pace a campaign; an exhausted daily cap would stall it
+  if (rejectIfOverQuota(res, req.waSession.id, ['day'])) return;
+
+  let preparedMedia = null;
+  if (hasMedia) {
+    try {
+      preparedMedia = await prepareMedia({
+        file: req.file,
+        media: { caption: req.body.caption, asDocument: req.body.asDocument, ...media }
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  const session = req.waSession;
+  const campaign = createCampaign(session.id, personalized, message, preparedMedia, { templateId, listId, segmentId, transactional });
+  console.log(`📢 Campaign ${campaign.id} [${session.id}] created for ${recipients.length} recipients`);
+  processCampaigns(session.id);
+
+  const invalid = campaign.recipients.filter(r => r.status === 'invalid').map(r => r.phone);
+  const suppressed = campaign.recipients.filter(r => r.status === 'suppressed').map(r => r.phone);
+  res.status(202).json({ 
+    success: true,
+    campaignId: campaign.id,
+    total: campaign.recipients.length,
+    invalid,
+    suppressed,
+    statusUrl: `/campaigns/${campaign.id}`,
+    connected: session.isReady,
+    quota: getSendQuota(session.id)
+  });
+});
+
+// Logout/Disconnect
+sessionRouter.post('/logout', requireScope('session:admin'), async (req, res) => {
+  const session = req.waSession;
+  if (!session.transport) {
+    return res.status(409).json({ success: false, error: `Session is ${session.state}` });
+  }
+
+  try {
+    setSessionState(session, 'logged_out', 'Logged out via API');
+    // Comes back up with a fresh QR code so another phone can be linked
+    await restartSession(session, 'Logged out via API', { clearAuth: true, logout: true });
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restart the WhatsApp client (also recovers a session in the failed state)
+sessionRouter.post('/restart', requireScope('session:admin'), (req, res) => {
+  const session = req.waSession;
+  session.reconnectAttempts = 0;
+  restartSession(session, 'Manual restart via API');
+  res.status(202).json({ success: true, message: 'Restarting WhatsApp client', session: summarizeSession(session) });
+});
+
+// Get Client Info
+sessionRouter.get('/info', requireScope('read'), async (req, res) => {
+  const session = req.waSession;
+  if (!session.isReady) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'WhatsApp is not connected' 
+    });
+  }
+
+  try {
+    const info = await session.transport.getInfo();
+    res.json({ success: true, info, transport: WHATSAPP_TRANSPORT });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Group routes need a live connection
+function requireConnected(req, res, next) {
+  if (req.waSession.isReady) return next();
+  res.status(400).json({ 
+    success: false,
+    error: 'WhatsApp is not connected' 
+  });
+}
+
+function sendGroupError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message });
+}
+
+// List Groups
+sessionRouter.get('/groups', requireScope('read'), requireConnected, async (req, res) => {
+  try {
+    const chats = await req.waSession.transport.getChats();
+    res.json({ success: true, groups: chats.filter(chat => chat.isGroup).map(summarizeGroup) });
+  } catch (error) {
+    sendGroupError(res, error);
+  }
+});
+
+// Create Group: { name, participants: [phones], description?, messagesAdminsOnly?, ... }
+sessionRouter.post('/groups', requireScope('session:admin'), requireConnected, async (req, res) => {
+  const { name, participants, ...settings } = req.body;
+  if (!name) {
+    return res.status(400).json({ success: false, error: 'Group name is required' });
+  }
+
+  const { chatIds, invalid } = toParticipantIds(participants);
+  if (invalid.length || !chatIds.length) {
+    return res.status(400).json({ success: false, error: 'participants must be a list of valid phone numbers', invalid });
+  }
+
+  try {
+    const session = req.waSession;
+    const result = await session.transport.createGroup(String(name), chatIds);
+    if (typeof result === 'string') {
+      return res.status(400).json({ success: false, error: result });
+    }
+
+    const groupId = result.gid._serialized;
+    console.log(`👥 Group "${name}" created [${session.id}]: ${groupId}`);
+    const chat = await getGroupChat(session, groupId);
+    const { updated, failed } = await applyGroupSettings(chat, settings);
+
+    res.status(201).json({ 
+      success: true,
+      group: describeGroup(await getGroupChat(session, groupId)),
+      participants: result.participants,
+      settings: { updated, failed }
+    });
+  } catch (error) {
+    sendGroupError(res, error);
+  }
+});
+
+// Group details with participants
+sessionRouter.get('/groups/:groupId', requireScope('read'), requireConnected, async (req, res) => {
+  try {
+    const chat = await getGroupChat(req.waSession, req.params.groupId);
+    res.json({ success: true, group: describeGroup(chat) });
+  } catch (error) {
+    sendGroupError(res, error);
+  }
+});
+
+// Update name, description and settings (messagesAdminsOnly, infoAdminsOnly, addMembersAdminsOnly)
+sessionRouter.put('/groups/:groupId', requireScope('session:admin'), requireConnected, async (req, res) => {
+  try {
+    const chat = await getGroupChat(req.waSession, req.params.groupId);
+    const { updated, failed } = await applyGroupSettings(chat, req.body);
+    if (!updated.length && !failed.length) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    res.status(failed.length ? 403 : 200).json({ 
+      success: !failed.length,
+      ...(failed.length && { error: 'Some settings could not be changed. Is this number a group admin?' }),
+      updated,
+      failed,
+      group: describeGroup(await getGroupChat(req.waSession, req.params.groupId))
+    });
+  } catch (error) {
+    sendGroupError(res, error);
+  }
+});
+
+// Add, remove, promote or demote participants: { participants: [phones] }
+sessionRouter.post('/groups/:groupId/participants/:action(add|remove|promote|demote)', requireScope('session:admin'), requireConnected, async (req, res) => {
+  const { chatIds, invalid } = toParticipantIds(req.body.participants);
+  if (invalid.length || !chatIds.length) {
+    return res.status(400).json({ success: false, error: 'participants must be a list of valid phone numbers', invalid });
+  }
+
+  try {
+    const chat = await getGroupChat(req.waSession, req.params.groupId);
+    const { action } = req.params;
+    const result = await chat[`${action}Participants`](chatIds);
+    if (typeof result === 'string') {
+      return res.status(400).json({ success: false, error: result });
+    }
+
+    console.log(`👥 ${action} ${chatIds.length} participant(s) in ${chat.id._serialized}`);
+    res.json({ success: true, action, participants: chatIds, result });
+  } catch (error) {
+    sendGroupError(res, error);
+  }
+});
+
+// Invite link
+sessionRouter.get('/groups/:groupId/invite', requireScope('session:admin'), requireConnected, async (req, res) => {
+  try {
+    const chat = await getGroupChat(req.waSession, req.params.groupId);
+    const code = await chat.getInviteCode();
+    if (!code) {
+      return res.status(403).json({ success: false, error: 'Only group admins can get the invite link' });
+    }
+    res.json({ success: true, code, link: `https://chat.whatsapp.com/${code}` });
+  } catch (error) {
+    sendGroupError(res, error);
+  }
+});
+
+// Rotate the invite link; the old one stops working
+sessionRouter.post('/groups/:groupId/invite/revoke', requireScope('session:admin'), requireConnected, async (req, res) => {
+  try {
+    const chat = await getGroupChat(req.waSession, req.params.groupId);
+    const code = await chat.revokeInvite();
+    console.log(`🔗 Invite link rotated for ${chat.id._serialized}`);
+    res.json({ success: true, code, link: `https://chat.whatsapp.com/${code}` });
+  } catch (error) {
+    sendGroupError(res, error);
+  }
+});
+
+// Send text and/or media to a group (queued like /send; media as in /send-media,
+// with message as its caption)
+sessionRouter.post('/groups/:groupId/send', requireScope('send'), acceptUpload, async (req, res) => {
+  const { message, caption, filename, mimetype, base64, data, url, asDocument } = req.body;
+  const groupId = toGroupId(req.params.groupId);
+  if (!groupId) {
+    return res.status(400).json({ success: false, error: 'Invalid group id' });
+  }
+
+  const hasMedia = !!(req.file || base64 || data || url);
+  if (!message && !hasMedia) {
+    return res.status(400).json({ success: false, error: 'message or media is required' });
+  }
+
+  const { id: sessionId } = req.waSession;
+  if (rejectIfOverQuota(res, sessionId)) return;
+
+  let media = null;
+  if (hasMedia) {
+    try {
+      media = await prepareMedia({
+        file: req.file,
+        media: { caption: caption || message, filename, mimetype, base64, data, url, asDocument }
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  const text = media ? null : message;
+  if (rejectIfDuplicate(res, sessionId, groupId, text, media)) {
+    return deleteMediaFile(media);
+  }
+
+  const entry = enqueueOutbound(sessionId, groupId, text, media);
+  await sendOrQueue(res, req.waSession, entry, media ? 'Media' : 'Message');
+});
+
+// Mock transport controls (WHATSAPP_TRANSPORT=mock only)
+if (WHATSAPP_TRANSPORT === 'mock') {
+  function requireMockTransport(req, res, next) {
+    if (req.waSession.transport) return next();
+    res.status(409).json({ success: false, error: 'Session has no active transport' });
+  }
+
+  // Simulate an inbound message: { from, body, type?, media?: { mimetype, base64, filename? } }
+  sessionRouter.post('/mock/inbound', requireScope('admin'), requireMockTransport, (req, res) => {
+    const { from, body, type, media } = req.body;
+    if (!toChatId(from)) {
+      return res.status(400).json({ success: false, error: 'A valid "from" phone number is required' });
+    }
+    if (media && (!media.mimetype || !media.base64)) {
+      return res.status(400).json({ success: false, error: 'media needs mimetype and base64' });
+    }
+    const id = req.waSession.transport.receive({ from, body, type, media });
+    res.json({ success: true, id });
+  });
+
+  // Messages "sent" through this session, newest last
+  sessionRouter.get('/mock/sent', requireScope('admin'), (req, res) => {
+    const { sent } = getMockState(req.waSession.id);
+    res.json({ success: true, count: sent.length, messages: sent });
+  });
+
+  // Simulate a delivery status: { id, ack } (2 delivered, 3 read, -1 failed)
+  sessionRouter.post('/mock/ack', requireScope('admin'), requireMockTransport, (req, res) => {
+    const { id } = req.body;
+    const ack = parseInt(req.body.ack, 10);
+    const message = getMockState(req.waSession.id).sent.find(m => m.id === id);
+    if (!message || Number.isNaN(ack)) {
+      return res.status(400).json({ success: false, error: 'id of a sent message and a numeric ack are required' });
+    }
+    message.ack = ack;
+    req.waSession.transport.emit('message_ack', id, ack, message.to);
+    res.json({ success: true, message });
+  });
+
+  // Simulate a contact answering a poll: { pollId | messageId, from, options: [...] }
+  sessionRouter.post('/mock/vote', requireScope('admin'), requireMockTransport, (req, res) => {
+    const { pollId, from, options } = req.body;
+    const messageId = pollId ? polls[pollId] && polls[pollId].messageId : req.body.messageId;
+    if (!toChatId(from) || !Array.isArray(options)) {
+      return res.status(400).json({ success: false, error: '"from" and an options array are required' });
+    }
+    if (!messageId || !req.waSession.transport.vote({ messageId, from, options })) {
+      return res.status(404).json({ success: false, error: 'No poll was sent with that id' });
+    }
+    res.json({ success: true });
+  });
+
+  // Simulate the phone dropping off: { reason? }
+  sessionRouter.post('/mock/disconnect', requireScope('admin'), requireMockTransport, (req, res) => {
+    const reason = req.body.reason || 'NAVIGATION';
+    req.waSession.transport.connected = false;
+    req.waSession.transport.emit('disconnected', reason);
+    res.json({ success: true, reason });
+  });
+
+  // Numbers that aren't on WhatsApp or whose sends fail: { unregistered: [], failing: [] }
+  sessionRouter.put('/mock/numbers', requireScope('admin'), (req, res) => {
+    const state = getMockState(req.waSession.id);
+    for (const key of ['unregistered', 'failing']) {
+      if (Array.isArray(req.body[key])) {
+        state[key] = new Set(req.body[key].map(toChatId).filter(Boolean).map(chatPhone));
+      }
+    }
+    numberIdCache.clear();
+    res.json({ success: true, unregistered: [...state.unregistered], failing: [...state.failing] });
+  });
+}
+
+// List Sessions
+app.get('/sessions', requireScope('read'), (req, res) => {
+  res.json({ success: true, defaultSession: DEFAULT_SESSION_ID, sessions: [...sessions.values()].map(summarizeSession) });
+});
+
+// Create Session (a new number; scan its QR at /sessions/:id/connect)
+app.post('/sessions', requireScope('session:admin'), (req, res) => {
+  const { id, name, phoneNumberId } = req.body;
+
+  if (!id || !SESSION_ID_PATTERN.test(id)) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Session id is required (letters, numbers, _ and -, max 32 characters)' 
+    });
+  }
+  if (sessions.has(id)) {
+    return res.status(409).json({ success: false, error: `Session "${id}" already exists` });
+  }
+  if (WHATSAPP_TRANSPORT === 'cloud' && !/^\d+$/.test(String(phoneNumberId || ''))) {
+    return res.status(400).json({ success: false, error: 'phoneNumberId (the Cloud API phone number id) is required' });
+  }
+
+  const session = createSession(id, name, { phoneNumberId: phoneNumberId ? String(phoneNumberId) : null });
+  res.status(201).json({ 
+    success: true,
+    session: summarizeSession(session),
+    qrUrl: `/sessions/${session.id}/qr`
+  });
+});
+
+// Remove Session (?logout=true also unlinks the device)
+app.delete('/sessions/:sessionId', requireScope('session:admin'), async (req, res) => {
+  const session = getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+  if (session.id === DEFAULT_SESSION_ID) {
+    return res.status(400).json({ success: false, error: 'The default session cannot be removed' });
+  }
+
+  try {
+    await removeSession(session, { logout: req.query.logout === 'true' });
+    res.json({ success: true, message: `Session "${session.id}" removed` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.use('/sessions/:sessionId', sessionRouter);
+
+// At the top level only the session routes themselves go through the router,
+// so other routes don't run the default-session lookup
+const sessionRoutePaths = sessionRouter.stack.filter(layer => layer.route).map(layer => layer.route.path);
+app.all(sessionRoutePaths, sessionRouter);
+
+// Live Events stream (Server-Sent Events)
+app.get('/events', requireScope('read'), openLiveEventStream);
+
+// Signed links were checked by authenticate; anyone else needs the read scope
+function requireMediaAccess(req, res, next) {
+  if (req.mediaLink) return next();
+  requireScope('read')(req, res, next);
+}
+
+// Media received from a contact (API key with the read scope, or the signed
+// link given to the processor; ?download=true to save it)
+app.get('/media/:id', requireMediaAccess, (req, res) => {
+  const record = inboundMedia[req.params.id];
+  if (!record || !fs.existsSync(path.join(MEDIA_IN_DIR, record.id))) {
+    return res.status(404).json({ success: false, error: 'Media not found (it may have expired)' });
+  }
+
+  // Files come from contacts: never let a browser run them on this origin
+  res.set({ 'X-Content-Type-Options': 'nosniff', 'Content-Security-Policy': 'sandbox' });
+  if (req.query.download === 'true') res.attachment(record.filename || record.id);
+  res.type(record.mimetype);
+  res.sendFile(path.join(MEDIA_IN_DIR, record.id));
+});
+
+// Message Delivery Status (WhatsApp message id, or the id returned by /send)
+app.get('/messages/:id', requireScope('read'), (req, res) => {
+  const record = findTrackedMessage(req.params.id);
+  if (record) {
+    return res.json({ success: true, message: record });
+  }
+
+  // Not sent yet: report where it is in the outbound queue
+  const entry = outbox[req.params.id];
+  if (entry) {
+    return res.json({ 
+      success: true,
+      message: { id: null, outboxId: entry.id, to: entry.chatId, status: entry.status, reason: entry.reason, lastError: entry.lastError }
+    });
+  }
+
+  res.status(404).json({ success: false, error: 'Message not found' });
+});
+
+// Outbound Queue (pending and dead-letter messages)
+app.get('/queue', requireScope('read'), (req, res) => {
+  const { status, session } = req.query;
+  const entries = Object.values(outbox)
+    .filter(e => !session || e.sessionId === session)
+    .filter(e => status ? e.status === status : e.status !== 'sent')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  res.json({ 
+    success: true,
+    queued: entries.filter(e => e.status === 'queued').length,
+    dead: entries.filter(e => e.status === 'dead').length,
+    rejected: entries.filter(e => e.status === 'rejected').length,
+    messages: entries
+  });
+});
+
+// Retry a queued or dead-letter message now
+app.post('/queue/:id/retry', requireScope('send'), (req, res) => {
+  const entry = outbox[req.params.id];
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Message not found' });
+  }
+  if (entry.status === 'sent' || entry.status === 'sending') {
+    return res.status(409).json({ success: false, error: `Message is already ${entry.status}` });
+  }
+  if (entry.reason === 'invalid_number') {
+    return res.status(422).json({ success: false, error: 'Invalid phone number', reason: entry.reason });
+  }
+
+  // The number may have joined WhatsApp since it was last checked
+  numberIdCache.delete(entry.chatId);
+  entry.status = 'queued';
+  entry.reason = null;
+  entry.attempts = 0;
+  entry.nextAttemptAt = new Date().toISOString();
+  saveOutbox();
+
+  res.json({ success: true, message: entry });
+  processOutbox(entry.sessionId);
+});
+
+// Validate numbers and check which are on WhatsApp
+app.post('/contacts/check', requireScope('read'), async (req, res) => {
+  const { phones, session: sessionId = DEFAULT_SESSION_ID } = req.body;
+
+  if (!Array.isArray(phones) || !phones.length) {
+    return res.status(400).json({ success: false, error: 'phones array is required' });
+  }
+  if (phones.length > CONTACT_CHECK_MAX) {
+    return res.status(400).json({ success: false, error: `At most ${CONTACT_CHECK_MAX} numbers per request` });
+  }
+  if (!getSession(sessionId)) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  // Without a connection only the format can be checked; onWhatsApp stays null
+  const connected = isSessionReady(sessionId);
+  const results = [];
+  for (const phone of phones) {
+    const normalized = normalizePhone(phone);
+    const result = {
+      input: normalized.input,
+      valid: normalized.valid,
+      e164: normalized.e164 || null,
+      country: normalized.country || null,
+      onWhatsApp: null,
+      whatsappId: null,
+      suppressed: normalized.valid ? isSuppressed(normalized.chatId) : false,
+      reason: normalized.valid ? null : 'invalid_number'
+    };
+
+    if (normalized.valid && connected) {
+      try {
+        result.whatsappId = await resolveWhatsAppId(sessionId, normalized.chatId);
+        result.onWhatsApp = !!result.whatsappId;
+        if (!result.onWhatsApp) result.reason = 'not_on_whatsapp';
+      } catch (error) {
+        result.reason = 'check_failed';
+        result.error = error.message;
+      }
+    }
+    results.push(result);
+  }
+
+  res.json({ 
+    success: true,
+    session: sessionId,
+    connected,
+    total: results.length,
+    valid: results.filter(r => r.valid).length,
+    onWhatsApp: results.filter(r => r.onWhatsApp).length,
+    results
+  });
+});
+
+// Conversations, most recent first
+app.get('/chats', requireScope('read'), (req, res) => {
+  const { session } = req.query;
+  const limit = getPageSize(req.query.limit);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const where = session ? 'WHERE session_id = @session' : '';
+
+  const rows = getHistoryDb().prepare(`
+    SELECT m.phone, m.session_id, m.direction, m.body, m.timestamp, c.total, c.inbound
+    FROM (
+      SELECT phone, MAX(rowid) AS last_rowid, COUNT(*) AS total, SUM(direction = 'in') AS inbound
+      FROM messages ${where} GROUP BY phone
+    ) c
+    JOIN messages m ON m.rowid = c.last_rowid
+    ORDER BY m.timestamp DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ session, limit, offset });
+
+  res.json({ 
+    success: true,
+    chats: rows.map(row => ({
+      phone: row.phone,
+      sessionId: row.session_id,
+      total: row.total,
+      inbound: row.inbound,
+      outbound: row.total - row.inbound,
+      lastMessage: { direction: row.direction, body: row.body, timestamp: row.timestamp }
+    })),
+    limit,
+    offset
+  });
+});
+
+// Messages with one contact, newest first; page back with ?before=<nextBefore>
+app.get('/chats/:phone/messages', requireScope('read'), (req, res) => {
+  const { session, before } = req.query;
+  const limit = getPageSize(req.query.limit);
+
+  const rows = getHistoryDb().prepare(`
+    SELECT * FROM messages
+    WHERE phone = @phone
+      ${session ? 'AND session_id = @session' : ''}
+      ${before ? 'AND timestamp < @before' : ''}
+    ORDER BY timestamp DESC
+    LIMIT @limit
+  `).all({ phone: historyPhoneParam(req.params.phone), session, before, limit: limit + 1 });
+
+  const hasMore = rows.length > limit;
+  const messages = rows.slice(0, limit).map(formatHistoryRow);
+  res.json({ 
+    success: true,
+    phone: historyPhoneParam(req.params.phone),
+    messages,
+    hasMore,
+    nextBefore: hasMore ? messages[messages.length - 1].timestamp : null
+  });
+});
+
+// Whole conversation as a download (?format=json|csv), oldest first
+app.get('/chats/:phone/export', requireScope('read'), (req, res) => {
+  const { session, format = 'json' } = req.query;
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ success: false, error: 'format must be json or csv' });
+  }
+
+  const phone = historyPhoneParam(req.params.phone);
+  const messages = getHistoryDb().prepare(`
+    SELECT * FROM messages WHERE phone = @phone ${session ? 'AND session_id = @session' : ''}
+    ORDER BY timestamp ASC
+  `).all({ phone, session }).map(formatHistoryRow);
+
+  res.attachment(`chat-${phone}.${format}`);
+  if (format === 'json') {
+    return res.json({ phone, exportedAt: new Date().toISOString(), messages });
+  }
+
+  res.type('text/csv').send(toCsv(
+    messages.map(m => ({ ...m, media: m.media ? m.media.filename || m.media.mimetype : '' })),
+    ['timestamp', 'direction', 'source', 'type', 'status', 'sessionId', 'body', 'media']
+  ));
+});
+
+// Latest messages across all chats (optional ?direction=in|out and ?session=)
+app.get('/history', requireScope('read'), (req, res) => {
+  const { direction, session } = req.query;
+  if (direction && direction !== 'in' && direction !== 'out') {
+    return res.status(400).json({ success: false, error: 'direction must be in or out' });
+  }
+
+  const limit = getPageSize(req.query.limit);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const filters = [direction && 'direction = @direction', session && 'session_id = @session'].filter(Boolean);
+  const rows = getHistoryDb().prepare(`
+    SELECT * FROM messages
+    ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+    ORDER BY timestamp DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ direction, session, limit, offset });
+
+  res.json({ success: true, messages: rows.map(formatHistoryRow), limit, offset });
+});
+
+// Full-text search across all messages (?q=, optional ?phone= and ?session=)
+app.get('/search', requireScope('read'), (req, res) => {
+  const { q, phone, session } = req.query;
+  const query = toFtsQuery(q || '');
+  if (!query) {
+    return res.status(400).json({ success: false, error: 'q is required' });
+  }
+
+  const limit = getPageSize(req.query.limit);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const rows = getHistoryDb().prepare(`
+    SELECT m.*, snippet(messages_fts, 0, '[', ']', '…', 12) AS snippet
+    FROM messages_fts
+    JOIN messages m ON m.rowid = messages_fts.rowid
+    WHERE messages_fts MATCH @query
+      ${phone ? 'AND m.phone = @phone' : ''}
+      ${session ? 'AND m.session_id = @session' : ''}
+    ORDER BY m.timestamp DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ query, phone: phone && historyPhoneParam(phone), session, limit, offset });
+
+  res.json({ success: true, query: q, results: rows.map(formatHistoryRow), limit, offset });
+});
+
+// List Campaigns
+app.get('/campaigns', requireScope('read'), (req, res) => {
+  const list = Object.values(campaigns)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizeCampaign);
+  res.json({ success: true, campaigns: list });
+});
+
+// Campaign Status with per-recipient results
+app.get('/campaigns/:id', requireScope('read'), (req, res) => {
+  const campaign = campaigns[req.params.id];
+  if (!campaign) {
+    return res.status(404).json({ success: false, error: 'Campaign not found' });
+  }
+
+  res.json({ 
+    success: true,
+    campaign: {
+      ...summarizeCampaign(campaign),
+      message: campaign.message,
+      media: campaign.media,
+      recipients: campaign.recipients.map(recipient => {
+        const tracked = recipient.messageId && trackedMessages[recipient.messageId];
+        return { ...recipient, delivery: tracked ? tracked.status : null };
+      })
+    }
+  });
+});
+
+// Per-recipient results as CSV
+app.get('/campaigns/:id/export', requireScope('read'), (req, res) => {
+  const campaign = campaigns[req.params.id];
+  if (!campaign) {
+    return res.status(404).json({ success: false, error: 'Campaign not found' });
+  }
+
+  const rows = campaign.recipients.map(recipient => {
+    const tracked = recipient.messageId && trackedMessages[recipient.messageId];
+    return {
+      ...recipient,
+      delivery: tracked ? tracked.status : '',
+      deliveredAt: tracked ? tracked.deliveredAt : '',
+      readAt: tracked ? tracked.readAt : ''
+    };
+  });
+
+  res.attachment(`campaign-${campaign.id}.csv`);
+  res.type('text/csv').send(toCsv(rows, ['phone', 'status', 'error', 'sentAt', 'delivery', 'deliveredAt', 'readAt', 'messageId', 'message']));
+});
+
+// Pause Campaign
+app.post('/campaigns/:id/pause', requireScope('bulk'), (req, res) => {
+  const campaign = campaigns[req.params.id];
+  if (!campaign) {
+    return res.status(404).json({ success: false, error: 'Campaign not found' });
+  }
+  if (campaign.status !== 'running') {
+    return res.status(409).json({ success: false, error: `Cannot pause a ${campaign.status} campaign` });
+  }
+
+  setCampaignStatus(campaign, 'paused');
+  console.log(`⏸️  Campaign ${campaign.id} paused`);
+  res.json({ success: true, campaign: summarizeCampaign(campaign) });
+});
+
+// Resume Campaign
+app.post('/campaigns/:id/resume', requireScope('bulk'), (req, res) => {
+  const campaign = campaigns[req.params.id];
+  if (!campaign) {
+    return res.status(404).json({ success: false, error: 'Campaign not found' });
+  }
+  if (campaign.status !== 'paused') {
+    return res.status(409).json({ success: false, error: `Cannot resume a ${campaign.status} campaign` });
+  }
+
+  setCampaignStatus(campaign, 'running');
+  console.log(`▶️  Campaign ${campaign.id} resumed`);
+  processCampaigns(campaign.sessionId);
+  res.json({ success: true, campaign: summarizeCampaign(campaign) });
+});
+
+// Cancel Campaign
+app.post('/campaigns/:id/cancel', requireScope('bulk'), (req, res) => {
+  const campaign = campaigns[req.params.id];
+  if (!campaign) {
+    return res.status(404).json({ success: false, error: 'Campaign not found' });
+  }
+  if (campaign.status !== 'running' && campaign.status !== 'paused') {
+    return res.status(409).json({ success: false, error: `Cannot cancel a ${campaign.status} campaign` });
+  }
+
+  for (const recipient of campaign.recipients) {
+    if (recipient.status === 'pending') recipient.status = 'cancelled';
+  }
+  setCampaignStatus(campaign, 'cancelled');
+  console.log(`🛑 Campaign ${campaign.id} cancelled`);
+  res.json({ success: true, campaign: summarizeCampaign(campaign) });
+});
+
+// List Polls (?session=<id>)
+app.get('/polls', requireScope('read'), (req, res) => {
+  const list = Object.values(polls)
+    .filter(poll => !req.query.session || poll.sessionId === req.query.session)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizePoll);
+  res.json({ success: true, polls: list });
+});
+
+// Poll Results: votes per option with who chose it
+app.get('/polls/:id/results', requireScope('read'), (req, res) => {
+  const poll = polls[req.params.id];
+  if (!poll) {
+    return res.status(404).json({ success: false, error: 'Poll not found' });
+  }
+  res.json({ success: true, poll: getPollResults(poll) });
+});
+
+// Poll Results as CSV, one row per voter
+app.get('/polls/:id/export', requireScope('read'), (req, res) => {
+  const poll = polls[req.params.id];
+  if (!poll) {
+    return res.status(404).json({ success: false, error: 'Poll not found' });
+  }
+
+  const rows = Object.entries(poll.votes)
+    .map(([voter, vote]) => ({ phone: chatPhone(voter), choices: vote.options.join('; '), votedAt: vote.votedAt }))
+    .sort((a, b) => a.votedAt.localeCompare(b.votedAt));
+
+  res.attachment(`poll-${poll.id}.csv`);
+  res.type('text/csv').send(toCsv(rows, ['phone', 'choices', 'votedAt']));
+});
+
+// List Saved Locations (academy branches)
+app.get('/locations', requireScope('read'), (req, res) => {
+  const list = Object.values(savedLocations).sort((a, b) => a.name.localeCompare(b.name));
+  res.json({ success: true, locations: list });
+});
+
+// Save Location: { name, latitude, longitude, address?, url? }
+app.post('/locations', requireScope('bulk'), (req, res) => {
+  const [parsed, error] = parseLocationInput(req.body);
+  if (error || !parsed.name) {
+    return res.status(400).json({ success: false, error: error || 'Location name is required' });
+  }
+
+  const now = new Date().toISOString();
+  const { type, ...fields } = parsed;
+  const location = { id: generateId('loc'), ...fields, createdAt: now, updatedAt: now };
+
+  savedLocations[location.id] = location;
+  saveLocations();
+  res.status(201).json({ success: true, location });
+});
+
+// Update Saved Location
+app.put('/locations/:id', requireScope('bulk'), (req, res) => {
+  const location = savedLocations[req.params.id];
+  if (!location) {
+    return res.status(404).json({ success: false, error: 'Location not found' });
+  }
+
+  const [parsed, error] = parseLocationInput({ ...location, ...req.body });
+  if (error || !parsed.name) {
+    return res.status(400).json({ success: false, error: error || 'Location name is required' });
+  }
+
+  const { type, ...fields } = parsed;
+  const updated = { ...location, ...fields, updatedAt: new Date().toISOString() };
+  savedLocations[location.id] = updated;
+  saveLocations();
+  res.json({ success: true, location: updated });
+});
+
+// Delete Saved Location
+app.delete('/locations/:id', requireScope('bulk'), (req, res) => {
+  if (!savedLocations[req.params.id]) {
+    return res.status(404).json({ success: false, error: 'Location not found' });
+  }
+  delete savedLocations[req.params.id];
+  saveLocations();
+  res.json({ success: true, message: 'Location deleted' });
+});
+
+// List Templates
+app.get('/templates', requireScope('read'), (req, res) => {
+  const list = Object.values(templates).sort((a, b) => a.name.localeCompare(b.name));
+  res.json({ success: true, templates: list });
+});
+
+// Create Template
+app.post('/templates', requireScope('bulk'), (req, res) => {
+  const { name, body, defaults = {} } = req.body;
+  const error = validateTemplateInput({ name, body, defaults });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const now = new Date().toISOString();
+  const template = {
+    id: generateId('tpl'),
+    name,
+    body,
+    defaults,
+    variables: extractTemplateVariables(body),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  templates[template.id] = template;
+  saveTemplates();
+  res.status(201).json({ success: true, template });
+});
+
+// Get Template
+app.get('/templates/:id', requireScope('read'), (req, res) => {
+  const template = templates[req.params.id];
+  if (!template) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+  res.json({ success: true, template });
+});
+
+// Update Template
+app.put('/templates/:id', requireScope('bulk'), (req, res) => {
+  const template = templates[req.params.id];
+  if (!template) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+
+  const updated = { ...template, ...req.body, id: template.id, createdAt: template.createdAt };
+  const error = validateTemplateInput(updated);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  updated.defaults = updated.defaults || {};
+  updated.variables = extractTemplateVariables(updated.body);
+  updated.updatedAt = new Date().toISOString();
+  templates[template.id] = updated;
+  saveTemplates();
+  res.json({ success: true, template: updated });
+});
+
+// Delete Template
+app.delete('/templates/:id', requireScope('bulk'), (req, res) => {
+  if (!templates[req.params.id]) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+  delete templates[req.params.id];
+  saveTemplates();
+  res.json({ success: true, message: 'Template deleted' });
+});
+
+// Preview a Template with sample variables
+app.post('/templates/:id/preview', requireScope('read'), (req, res) => {
+  const template = templates[req.params.id];
+  if (!template) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+
+  const { text, missing } = renderTemplate(template.body, req.body.variables || {}, template.defaults);
+  res.json({ success: true, text, missing });
+});
+
+// List Contact Lists
+app.get('/lists', requireScope('read'), (req, res) => {
+  res.json({ success: true, lists: Object.values(lists).map(summarizeList) });
+});
+
+// Create Contact List (optionally with contacts)
+app.post('/lists', requireScope('bulk'), (req, res) => {
+  const { name, description = null, contacts = [] } = req.body;
+  if (!name) {
+    return res.status(400).json({ success: false, error: 'List name is required' });
+  }
+  if (!Array.isArray(contacts)) {
+    return res.status(400).json({ success: false, error: 'contacts must be an array' });
+  }
+
+  const now = new Date().toISOString();
+  const list = { id: generateId('lst'), name, description, contacts: {}, createdAt: now, updatedAt: now };
+  const report = upsertContacts(list, contacts);
+
+  lists[list.id] = list;
+  saveLists();
+  res.status(201).json({ success: true, list: summarizeList(list), report });
+});
+
+// List with its contacts
+app.get('/lists/:id', requireScope('read'), (req, res) => {
+  const list = lists[req.params.id];
+  if (!list) {
+    return res.status(404).json({ success: false, error: 'List not found' });
+  }
+
+  res.json({ success: true, list: { ...summarizeList(list), contacts: Object.values(list.contacts) } });
+});
+
+// Rename / describe a list
+app.put('/lists/:id', requireScope('bulk'), (req, res) => {
+  const list = lists[req.params.id];
+  if (!list) {
+    return res.status(404).json({ success: false, error: 'List not found' });
+  }
+
+  const { name = list.name, description = list.description } = req.body;
+  if (!name) {
+    return res.status(400).json({ success: false, error: 'List name is required' });
+  }
+
+  Object.assign(list, { name, description, updatedAt: new Date().toISOString() });
+  saveLists();
+  res.json({ success: true, list: summarizeList(list) });
+});
+
+// Delete a list and the segments built on it
+app.delete('/lists/:id', requireScope('bulk'), (req, res) => {
+  if (!lists[req.params.id]) {
+    return res.status(404).json({ success: false, error: 'List not found' });
+  }
+
+  delete lists[req.params.id];
+  for (const segment of Object.values(segments)) {
+    if (segment.listId === req.params.id) delete segments[segment.id];
+  }
+  saveLists();
+  saveSegments();
+  res.json({ success: true });
+});
+
+// Add or update contacts: { contacts: [{ phone, name, batch, course, feeStatus, ... }] }
+app.post('/lists/:id/contacts', requireScope('bulk'), (req, res) => {
+  const list = lists[req.params.id];
+  if (!list) {
+    return res.status(404).json({ success: false, error: 'List not found' });
+  }
+  if (!Array.isArray(req.body.contacts)) {
+    return res.status(400).json({ success: false, error: 'contacts array is required' });
+  }
+
+  const report = upsertContacts(list, req.body.contacts, { update: req.body.update !== false });
+  saveLists();
+  res.json({ success: true, list: summarizeList(list), report });
+});
+
+// Update one contact's name / attributes
+app.put('/lists/:id/contacts/:phone', requireScope('bulk'), (req, res) => {
+  const list = lists[req.params.id];
+  const normalized = normalizePhone(req.params.phone);
+  const existing = list && normalized.valid && list.contacts[normalized.e164];
+  if (!existing) {
+    return res.status(404).json({ success: false, error: 'Contact not found' });
+  }
+
+  const { phone, ...changes } = req.body;
+  list.contacts[existing.phone] = buildContact(changes, existing.phone, existing);
+  list.updatedAt = new Date().toISOString();
+  saveLists();
+  res.json({ success: true, contact: list.contacts[existing.phone] });
+});
+
+app.delete('/lists/:id/contacts/:phone', requireScope('bulk'), (req, res) => {
+  const list = lists[req.params.id];
+  const normalized = normalizePhone(req.params.phone);
+  if (!list || !normalized.valid || !list.contacts[normalized.e164]) {
+    return res.status(404).json({ success: false, error: 'Contact not found' });
+  }
+
+  delete list.contacts[normalized.e164];
+  list.updatedAt = new Date().toISOString();
+  saveLists();
+  res.json({ success: true });
+});
+
+// Import contacts from CSV (multipart "file" or "csv" text), with optional
+// mapping { field: 'CSV column' }; update=false keeps existing contacts as they are
+app.post('/lists/:id/import', requireScope('bulk'), acceptUpload, (req, res) => {
+  const list = lists[req.params.id];
+  if (!list) {
+    return res.status(404).json({ success: false, error: 'List not found' });
+  }
+
+  const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+  if (!csv) {
+    return res.status(400).json({ success: false, error: 'Upload a CSV file or send it as "csv"' });
+  }
+
+  let { mapping = null } = req.body;
+  let rows;
+  try {
+    if (typeof mapping === 'string') mapping = JSON.parse(mapping);
+    rows = parseCsv(csv, { columns: true, skip_empty_lines: true, trim: true, bom: true, relax_column_count: true });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Could not read CSV: ${error.message}` });
+  }
+
+  if (mapping) {
+    const headers = rows.length ? Object.keys(rows[0]) : [];
+    const missing = Object.values(mapping).filter(column => !headers.includes(column));
+    if (!mapping.phone || missing.length) {
+      return res.status(400).json({ 
+        success: false,
+        error: mapping.phone ? `Columns not found in CSV: ${missing.join(', ')}` : 'mapping.phone is required',
+        columns: headers
+      });
+    }
+  }
+
+  // Row 1 is the header
+  const report = upsertContacts(list, csvRowsToContacts(rows, mapping), {
+    update: req.body.update !== false && req.body.update !== 'false',
+    rowOffset: 2
+  });
+  saveLists();
+  console.log(`📇 Imported ${report.added} new / ${report.updated} updated contacts into list ${list.id}`);
+  res.json({ success: true, list: summarizeList(list), report });
+});
+
+// Try filters on a list without saving a segment: { filters: [{ field, op, value }] }
+app.post('/lists/:id/query', requireScope('read'), (req, res) => {
+  const list = lists[req.params.id];
+  if (!list) {
+    return res.status(404).json({ success: false, error: 'List not found' });
+  }
+
+  const { filters = [] } = req.body;
+  const error = validateFilters(filters);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const contacts = queryContacts(list, filters);
+  res.json({ success: true, total: contacts.length, contacts });
+});
+
+// List Segments
+app.get('/segments', requireScope('read'), (req, res) => {
+  res.json({ 
+    success: true,
+    segments: Object.values(segments).map(segment => ({
+      ...segment,
+      contactCount: lists[segment.listId] ? queryContacts(lists[segment.listId], segment.filters).length : 0
+    }))
+  });
+});
+
+// Create Segment: { name, listId, filters: [{ field, op, value }] }
+app.post('/segments', requireScope('bulk'), (req, res) => {
+  const { name, listId, filters = [] } = req.body;
+  const error = validateSegmentInput({ name, listId, filters });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const now = new Date().toISOString();
+  const segment = { id: generateId('seg'), name, listId, filters, createdAt: now, updatedAt: now };
+  segments[segment.id] = segment;
+  saveSegments();
+  res.status(201).json({ success: true, segment });
+});
+
+app.put('/segments/:id', requireScope('bulk'), (req, res) => {
+  const segment = segments[req.params.id];
+  if (!segment) {
+    return res.status(404).json({ success: false, error: 'Segment not found' });
+  }
+
+  const updated = { ...segment, ...req.body, id: segment.id, createdAt: segment.createdAt, updatedAt: new Date().toISOString() };
+  const error = validateSegmentInput(updated);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  segments[segment.id] = updated;
+  saveSegments();
+  res.json({ success: true, segment: updated });
+});
+
+app.delete('/segments/:id', requireScope('bulk'), (req, res) => {
+  if (!segments[req.params.id]) {
+    return res.status(404).json({ success: false, error: 'Segment not found' });
+  }
+
+  delete segments[req.params.id];
+  saveSegments();
+  res.json({ success: true });
+});
+
+// Contacts currently matching a segment
+app.get('/segments/:id/contacts', requireScope('read'), (req, res) => {
+  const segment = segments[req.params.id];
+  if (!segment) {
+    return res.status(404).json({ success: false, error: 'Segment not found' });
+  }
+  if (!lists[segment.listId]) {
+    return res.status(404).json({ success: false, error: 'The list behind this segment no longer exists' });
+  }
+
+  const contacts = queryContacts(lists[segment.listId], segment.filters);
+  res.json({ success: true, segment, total: contacts.length, contacts });
+});
+
+// List Schedules
+app.get('/schedules', requireScope('read'), (req, res) => {
+  const { status, session } = req.query;
+  const list = Object.values(schedules)
+    .filter(s => !status || s.status === status)
+    .filter(s => !session || s.sessionId === session)
+    .sort((a, b) => (a.nextRunAt || '').localeCompare(b.nextRunAt || ''))
+    .map(summarizeSchedule);
+  res.json({ success: true, schedules: list });
+});
 
-// WhatsApp Client
-let client;
-let qrCodeData = '';
-let isReady = false;
+// Create Schedule: one message (phone) or a campaign (recipients) at
+// sendAt and/or on a recurrence
+app.post('/schedules', requireScope('send'), (req, res) => {
+  const {
+    name = null, session = DEFAULT_SESSION_ID, phone = null, recipients = null, variables = {},
+    message = null, templateId = null, sendAt = null, recurrence = null,
+    timezone = SCHEDULE_TIMEZONE, missedPolicy = 'send', transactional = false
+  } = req.body;
 
-// Google Apps Script URL (Update this after deploying your script)
-const GOOGLE_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbw0Oh6ds0OaYon7I8G5n58Fjv-eTki2SzQKvJE6chMVGtbQtCYLhi-G5PlASfNQui0/exec';
+  if (recipients && !hasScope(req, 'bulk')) {
+    return res.status(403).json({ success: false, error: 'API key is missing required scope: bulk' });
+  }
 
-// ============================================================================
-// INITIALIZE WHATSAPP CLIENT
-// ============================================================================
+  const now = new Date().toISOString();
+  const schedule = {
+    id: generateId('sch'), name, sessionId: session, phone, recipients, variables, message, templateId,
+    sendAt, recurrence, timezone, missedPolicy, transactional: !!transactional, status: 'active', nextRunAt: null, lastRunAt: null,
+    runCount: 0, createdAt: now, updatedAt: now, runs: []
+  };
+
+  const error = validateScheduleInput(schedule);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-function initializeWhatsApp() {
-  console.log('🚀 Initializing WhatsApp client...');
+  schedules[schedule.id] = prepareSchedule(schedule);
+  saveSchedules();
+  console.log(`⏰ Schedule ${schedule.id} created, first run ${schedule.nextRunAt}`);
+  res.status(201).json({ success: true, schedule: summarizeSchedule(schedule) });
+});
 
-client = new Client({
-  authStrategy: new LocalAuth(),
-  puppeteer: {
-    headless: true,
-    executablePath: puppeteer.executablePath(), // use Puppeteer's own Chromium
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--disable-extensions',
-      '--single-process',
-      '--no-zygote',
-      '--window-size=800,600'
-    ]
+// Schedule with the results of its runs
+app.get('/schedules/:id', requireScope('read'), (req, res) => {
+  const schedule = schedules[req.params.id];
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
   }
+
+  res.json({ success: true, schedule: { ...schedule, runs: schedule.runs.map(describeRun) } });
 });
 
+// Update Schedule (times are recalculated from now)
+app.put('/schedules/:id', requireScope('send'), (req, res) => {
+  const schedule = schedules[req.params.id];
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  if (schedule.status !== 'active') {
+    return res.status(409).json({ success: false, error: `Cannot update a ${schedule.status} schedule` });
+  }
 
-  // QR Code Event
-  client.on('qr', async (qr) => {
-    console.log('📱 QR Code received, generating image...');
-    try {
-      qrCodeData = await qrcode.toDataURL(qr);
-      console.log('✅ QR Code generated successfully');
-      console.log('📲 Scan this QR code with WhatsApp to connect');
-    } catch (err) {
-      console.error('❌ Error generating QR code:', err);
-    }
-  });
+  const { session, ...changes } = req.body;
+  const updated = {
+    ...schedule,
+    ...changes,
+    sessionId: session || schedule.sessionId,
+    id: schedule.id,
+    status: schedule.status,
+    runCount: schedule.runCount,
+    runs: schedule.runs,
+    createdAt: schedule.createdAt
+  };
+  if (updated.recipients && !hasScope(req, 'bulk')) {
+    return res.status(403).json({ success: false, error: 'API key is missing required scope: bulk' });
+  }
 
-  // Ready Event
-  client.on('ready', () => {
-    console.log('✅ WhatsApp client is ready!');
-    console.log('📱 Client connected successfully');
-    isReady = true;
-    qrCodeData = '';
-  });
+  const error = validateScheduleInput(updated);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-  // Authenticated Event
-  client.on('authenticated', () => {
-    console.log('✅ WhatsApp authenticated');
-  });
+  schedules[schedule.id] = prepareSchedule(updated);
+  saveSchedules();
+  res.json({ success: true, schedule: summarizeSchedule(updated) });
+});
 
-  // Authentication Failure
-  client.on('auth_failure', (msg) => {
-    console.error('❌ Authentication failed:', msg);
-    isReady = false;
-  });
+// Cancel Schedule (past runs are kept)
+app.post('/schedules/:id/cancel', requireScope('send'), (req, res) => {
+  const schedule = schedules[req.params.id];
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  if (schedule.status !== 'active') {
+    return res.status(409).json({ success: false, error: `Cannot cancel a ${schedule.status} schedule` });
+  }
 
-  // Message Event
-  client.on('message', async (message) => {
-    console.log('📨 Message received from:', message.from);
-    console.log('💬 Message:', message.body);
-    await handleIncomingMessage(message);
-  });
+  schedule.status = 'cancelled';
+  schedule.nextRunAt = null;
+  schedule.updatedAt = new Date().toISOString();
+  saveSchedules();
+  console.log(`🛑 Schedule ${schedule.id} cancelled`);
+  res.json({ success: true, schedule: summarizeSchedule(schedule) });
+});
 
-  // Disconnected Event
-  client.on('disconnected', (reason) => {
-    console.log('❌ WhatsApp disconnected:', reason);
-    isReady = false;
-    qrCodeData = '';
+// Inbound messages (pending and failed by default; ?status=processed for the rest)
+app.get('/inbox', requireScope('read'), (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(',') : ['pending', 'processing', 'failed'];
+  const entries = Object.values(inbox)
+    .filter(e => statuses.includes(e.status))
+    .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+
+  res.json({ 
+    success: true,
+    processor: processorCircuit,
+    pending: entries.filter(e => e.status === 'pending').length,
+    failed: entries.filter(e => e.status === 'failed').length,
+    messages: entries
   });
+});
 
-  // Initialize
-  client.initialize();
-}
+// Reprocess an inbound message now (sends any reply Apps Script gives)
+app.post('/inbox/:id/reprocess', requireScope('send'), async (req, res) => {
+  const entry = inbox[req.params.id];
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Inbound message not found' });
+  }
+  if (entry.status === 'processing') {
+    return res.status(409).json({ success: false, error: 'Message is already being processed' });
+  }
 
-// ============================================================================
-// MESSAGE HANDLING
-// ============================================================================
+  entry.attempts = 0;
+  await processInboxEntry(entry, { replay: true });
+  res.status(entry.status === 'processed' ? 200 : 502).json({ success: entry.status === 'processed', message: entry });
+});
 
-async function handleIncomingMessage(message) {
-  try {
-    const phoneNumber = message.from.replace('@c.us', '');
-    const text = message.body.trim();
+// Auto-Reply Settings
+app.get('/auto-reply/settings', requireScope('read'), (req, res) => {
+  res.json({ success: true, settings: autoReply.settings, precedences: AUTO_REPLY_PRECEDENCES });
+});
 
-    console.log('📞 Processing message from:', phoneNumber);
+app.put('/auto-reply/settings', requireScope('admin'), (req, res) => {
+  const settings = { ...autoReply.settings, ...req.body };
 
-    // Send to Google Apps Script for processing
-    const response = await fetch(GOOGLE_SCRIPT_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'processMessage',
-        from: phoneNumber,
-        message: text
-      })
-    });
+  if (!AUTO_REPLY_PRECEDENCES.includes(settings.precedence)) {
+    return res.status(400).json({ success: false, error: `precedence must be one of: ${AUTO_REPLY_PRECEDENCES.join(', ')}` });
+  }
+  if (!(settings.conversationTimeoutMinutes > 0)) {
+    return res.status(400).json({ success: false, error: 'conversationTimeoutMinutes must be a positive number' });
+  }
+  if (!Array.isArray(settings.exitKeywords)) {
+    return res.status(400).json({ success: false, error: 'exitKeywords must be an array' });
+  }
 
-    const result = await response.json();
-    
-    if (result.reply) {
-      console.log('✅ Sending reply:', result.reply);
-      await message.reply(result.reply);
-    } else {
-      console.log('ℹ️  No reply needed');
-    }
-  } catch (error) {
-    console.error('❌ Error handling message:', error);
+  autoReply.settings = settings;
+  saveAutoReply();
+  res.json({ success: true, settings });
+});
+
+// Auto-Reply Rules
+app.get('/auto-reply/rules', requireScope('read'), (req, res) => {
+  res.json({ success: true, rules: Object.values(autoReply.rules) });
+});
+
+app.post('/auto-reply/rules', requireScope('admin'), (req, res) => {
+  const { name, match, keywords, pattern, reply, flowId, priority = 0, sessions: ruleSessions = [], active = true } = req.body;
+  const rule = { id: generateId('rule'), name, match, keywords, pattern, reply, flowId, priority, sessions: ruleSessions, active };
+
+  const error = validateRuleInput(rule);
+  if (error) {
+    return res.status(400).json({ success: false, error });
   }
-}
 
-// ============================================================================
-// API ROUTES
-// ============================================================================
+  autoReply.rules[rule.id] = rule;
+  saveAutoReply();
+  res.status(201).json({ success: true, rule });
+});
 
-// Home route
-app.get('/', (req, res) => {
-  res.send(`
-    <h2>🎓 KRP WhatsApp Automation Server</h2>
-    <p>Server is running on port ${PORT}</p>
-    <ul>
-      <li><a href="/health">/health</a> - Health Check</li>
-      <li><a href="/status">/status</a> - WhatsApp Connection Status</li>
-      <li><a href="/qr">/qr</a> - Get QR Code (JSON)</li>
-      <li><a href="/connect">/connect</a> - View WhatsApp QR Code</li>
-    </ul>
-  `);
+app.put('/auto-reply/rules/:id', requireScope('admin'), (req, res) => {
+  const rule = autoReply.rules[req.params.id];
+  if (!rule) {
+    return res.status(404).json({ success: false, error: 'Rule not found' });
+  }
+
+  const updated = { ...rule, ...req.body, id: rule.id };
+  const error = validateRuleInput(updated);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  autoReply.rules[rule.id] = updated;
+  saveAutoReply();
+  res.json({ success: true, rule: updated });
 });
 
-// Health Check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    whatsapp: isReady,
-    timestamp: new Date().toISOString()
-  });
+app.delete('/auto-reply/rules/:id', requireScope('admin'), (req, res) => {
+  if (!autoReply.rules[req.params.id]) {
+    return res.status(404).json({ success: false, error: 'Rule not found' });
+  }
+  delete autoReply.rules[req.params.id];
+  saveAutoReply();
+  res.json({ success: true, message: 'Rule deleted' });
 });
 
-// Check WhatsApp Status
-app.get('/status', (req, res) => {
-  res.json({ 
-    connected: isReady,
-    qrAvailable: !!qrCodeData,
-    timestamp: new Date().toISOString()
+// Auto-Reply Menu Flows
+app.get('/auto-reply/flows', requireScope('read'), (req, res) => {
+  res.json({ success: true, flows: Object.values(autoReply.flows) });
+});
+
+app.post('/auto-reply/flows', requireScope('admin'), (req, res) => {
+  const { name, startStep, steps, exitMessage } = req.body;
+  const flow = { id: generateId('flow'), name, startStep, steps, exitMessage };
+
+  const error = validateFlowInput(flow);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  autoReply.flows[flow.id] = flow;
+  saveAutoReply();
+  res.status(201).json({ success: true, flow });
+});
+
+app.put('/auto-reply/flows/:id', requireScope('admin'), (req, res) => {
+  const flow = autoReply.flows[req.params.id];
+  if (!flow) {
+    return res.status(404).json({ success: false, error: 'Flow not found' });
+  }
+
+  const updated = { ...flow, ...req.body, id: flow.id };
+  const error = validateFlowInput(updated);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  autoReply.flows[flow.id] = updated;
+  saveAutoReply();
+  res.json({ success: true, flow: updated });
+});
+
+app.delete('/auto-reply/flows/:id', requireScope('admin'), (req, res) => {
+  if (!autoReply.flows[req.params.id]) {
+    return res.status(404).json({ success: false, error: 'Flow not found' });
+  }
+  const usedBy = Object.values(autoReply.rules).filter(r => r.flowId === req.params.id);
+  if (usedBy.length) {
+    return res.status(409).json({ success: false, error: `Flow is used by rules: ${usedBy.map(r => r.name).join(', ')}` });
+  }
+  delete autoReply.flows[req.params.id];
+  saveAutoReply();
+  res.json({ success: true, message: 'Flow deleted' });
+});
+
+// Active menu conversations
+app.get('/auto-reply/conversations', requireScope('read'), (req, res) => {
+  const list = [...conversations.entries()].map(([key, conversation]) => {
+    const [sessionId, phone] = key.split(':');
+    return { sessionId, phone, ...conversation, updatedAt: new Date(conversation.updatedAt).toISOString() };
   });
+  res.json({ success: true, conversations: list });
 });
 
-// **NEW** Get QR Code Data (JSON) - This is what the dashboard needs
-app.get('/qr', (req, res) => {
-  if (isReady) {
-    res.json({
-      connected: true,
-      qrCode: null,
-      message: 'WhatsApp is already connected'
-    });
-  } else if (qrCodeData) {
-    res.json({
-      connected: false,
-      qrCode: qrCodeData,
-      message: 'Scan this QR code to connect'
-    });
-  } else {
-    res.json({
-      connected: false,
-      qrCode: null,
-      message: 'Generating QR code... Please wait.'
-    });
+app.delete('/auto-reply/conversations/:phone', requireScope('admin'), (req, res) => {
+  const key = conversationKey(req.query.session || DEFAULT_SESSION_ID, req.params.phone);
+  if (!conversations.delete(key)) {
+    return res.status(404).json({ success: false, error: 'Conversation not found' });
   }
+  res.json({ success: true, message: 'Conversation reset' });
 });
 
-// Display QR Code in browser
-app.get('/connect', (req, res) => {
-  if (isReady) {
-    res.send(`
-      <h3>✅ WhatsApp already connected!</h3>
-      <p>Your WhatsApp client is active.</p>
-      <a href="/">Back to home</a>
-    `);
-  } else if (qrCodeData) {
-    res.send(`
-      <h2>📲 Scan this QR Code to connect WhatsApp</h2>
-      <img src="${qrCodeData}" width="300" />
-      <p>Open WhatsApp → Linked Devices → Scan this QR</p>
-      <script>
-        // Auto refresh every 2 seconds if not connected
-        setTimeout(() => location.reload(), 2000);
-      </script>
-    `);
-  } else {
-    res.send(`
-      <h3>⏳ Generating QR code... Please wait and refresh.</h3>
-      <script>
-        setTimeout(() => location.reload(), 2000);
-      </script>
-    `);
+// Try the local rules without WhatsApp (uses the real conversation state)
+app.post('/auto-reply/test', requireScope('admin'), (req, res) => {
+  const { from, message, session: sessionId = DEFAULT_SESSION_ID } = req.body;
+  if (!from || !message) {
+    return res.status(400).json({ success: false, error: 'from and message are required' });
   }
+
+  const text = String(message).trim();
+  const replies = continueConversation(sessionId, from, text) || matchAutoReplyRules(sessionId, from, text);
+  res.json({ success: true, matched: !!replies, replies: replies || [] });
 });
 
-// Send Message
-app.post('/send', async (req, res) => {
-  const { phone, message } = req.body;
+// Suppression list (newest first)
+app.get('/opt-outs', requireScope('read'), (req, res) => {
+  const list = Object.values(optOuts.numbers).sort((a, b) => b.optedOutAt.localeCompare(a.optedOutAt));
+  res.json({ success: true, total: list.length, optOuts: list });
+});
 
-  if (!isReady) {
-    return res.status(400).json({ 
-      success: false,
-      error: 'WhatsApp is not connected. Please scan QR code first.' 
-    });
+// Add numbers by hand, e.g. opt-outs collected outside WhatsApp
+app.post('/opt-outs', requireScope('send'), (req, res) => {
+  const { phones, note = null } = req.body;
+  if (!Array.isArray(phones) || !phones.length) {
+    return res.status(400).json({ success: false, error: 'phones array is required' });
   }
 
-  if (!phone || !message) {
-    return res.status(400).json({ 
-      success: false,
-      error: 'Phone and message are required' 
-    });
+  const added = [];
+  const invalid = [];
+  for (const phone of phones) {
+    const chatId = toChatId(phone);
+    if (!chatId || isGroupId(chatId)) {
+      invalid.push(phone);
+      continue;
+    }
+    added.push(addOptOut(chatId, { reason: 'manual', note }));
   }
 
-  try {
-    let phoneNumber = phone.replace(/[^0-9]/g, '');
-    if (!phoneNumber.startsWith('91') && phoneNumber.length === 10) {
-      phoneNumber = '91' + phoneNumber;
+  console.log(`🔕 ${added.length} number(s) added to the opt-out list`);
+  res.json({ success: true, added, invalid });
+});
+
+// Opt-out settings (keywords and confirmation replies)
+app.get('/opt-outs/settings', requireScope('read'), (req, res) => {
+  res.json({ success: true, settings: optOuts.settings });
+});
+
+app.put('/opt-outs/settings', requireScope('admin'), (req, res) => {
+  const settings = { ...optOuts.settings, ...req.body };
+
+  for (const field of ['stopKeywords', 'startKeywords']) {
+    if (!Array.isArray(settings[field]) || !settings[field].every(k => normalizeKeyword(k))) {
+      return res.status(400).json({ success: false, error: `${field} must be an array of keywords` });
     }
-    
-    const chatId = phoneNumber + '@c.us';
-    console.log(`📤 Sending message to: ${chatId}`);
-    await client.sendMessage(chatId, message);
-    
-    res.json({ 
-      success: true,
-      message: 'Message sent successfully',
-      to: chatId
-    });
-  } catch (error) {
-    console.error('❌ Error sending message:', error);
-    res.status(500).json({ 
-      success: false,
-      error: error.message 
-    });
   }
+  if (!settings.stopReply || !settings.startReply) {
+    return res.status(400).json({ success: false, error: 'stopReply and startReply are required' });
+  }
+
+  settings.allowReplies = !!settings.allowReplies;
+  optOuts.settings = settings;
+  saveOptOuts();
+  res.json({ success: true, settings });
 });
 
-// Send Bulk Messages
-app.post('/send-bulk', async (req, res) => {
-  const { recipients, message } = req.body;
+// Take a number off the list (only when the contact asked to be re-added)
+app.delete('/opt-outs/:phone', requireScope('admin'), (req, res) => {
+  const chatId = toChatId(req.params.phone);
+  if (!chatId || !removeOptOut(chatId)) {
+    return res.status(404).json({ success: false, error: 'Number is not on the opt-out list' });
+  }
+  res.json({ success: true, message: 'Number removed from the opt-out list' });
+});
 
-  if (!isReady) {
-    return res.status(400).json({ 
-      success: false,
-      error: 'WhatsApp is not connected' 
-    });
+// List Webhooks
+app.get('/webhooks', requireScope('admin'), (req, res) => {
+  res.json({ success: true, webhooks: Object.values(webhooks).map(publicWebhook), events: WEBHOOK_EVENTS });
+});
+
+// Create Webhook (the signing secret is only returned in this response)
+app.post('/webhooks', requireScope('admin'), (req, res) => {
+  const { url, events, description } = req.body;
+  const error = validateWebhookInput({ url, events });
+  if (error) {
+    return res.status(400).json({ success: false, error });
   }
 
-  if (!recipients || !Array.isArray(recipients) || !message) {
-    return res.status(400).json({ 
-      success: false,
-      error: 'Recipients array and message are required' 
-    });
+  const webhook = {
+    id: generateId('whk'),
+    url,
+    events,
+    description: description || '',
+    secret: req.body.secret || crypto.randomBytes(32).toString('hex'),
+    active: true,
+    createdAt: new Date().toISOString()
+  };
+
+  webhooks[webhook.id] = webhook;
+  saveWebhooks();
+  res.status(201).json({ success: true, secret: webhook.secret, webhook: publicWebhook(webhook) });
+});
+
+// Get Webhook
+app.get('/webhooks/:id', requireScope('admin'), (req, res) => {
+  const webhook = webhooks[req.params.id];
+  if (!webhook) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
   }
+  res.json({ success: true, webhook: publicWebhook(webhook) });
+});
 
-  const results = [];
-  
-  for (const phone of recipients) {
-    try {
-      let phoneNumber = phone.replace(/[^0-9]/g, '');
-      if (!phoneNumber.startsWith('91') && phoneNumber.length === 10) {
-        phoneNumber = '91' + phoneNumber;
-      }
-      
-      const chatId = phoneNumber + '@c.us';
-      await client.sendMessage(chatId, message);
-      
-      results.push({ phone, success: true });
-      console.log(`✅ Sent to: ${phone}`);
-      
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    } catch (error) {
-      console.error(`❌ Failed to send to ${phone}:`, error.message);
-      results.push({ phone, success: false, error: error.message });
-    }
+// Update Webhook (url, events, description, active)
+app.put('/webhooks/:id', requireScope('admin'), (req, res) => {
+  const webhook = webhooks[req.params.id];
+  if (!webhook) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
   }
 
-  res.json({ 
-    success: true,
-    results: results,
-    sent: results.filter(r => r.success).length,
-    failed: results.filter(r => !r.success).length
-  });
+  const { url = webhook.url, events = webhook.events, description = webhook.description, active = webhook.active } = req.body;
+  const error = validateWebhookInput({ url, events });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  Object.assign(webhook, { url, events, description, active: active !== false });
+  saveWebhooks();
+  res.json({ success: true, webhook: publicWebhook(webhook) });
 });
 
-// Logout/Disconnect
-app.post('/logout', async (req, res) => {
-  try {
-    await client.logout();
-    isReady = false;
-    qrCodeData = '';
-    res.json({ success: true, message: 'Logged out successfully' });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+// Delete Webhook
+app.delete('/webhooks/:id', requireScope('admin'), (req, res) => {
+  if (!webhooks[req.params.id]) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
   }
+  delete webhooks[req.params.id];
+  saveWebhooks();
+  res.json({ success: true, message: 'Webhook deleted' });
 });
 
-// Get Client Info
-app.get('/info', async (req, res) => {
-  if (!isReady) {
-    return res.status(400).json({ 
-      success: false,
-      error: 'WhatsApp is not connected' 
-    });
+// Webhook Delivery Log (newest first)
+app.get('/webhooks/:id/deliveries', requireScope('admin'), (req, res) => {
+  if (!webhooks[req.params.id]) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
   }
 
-  try {
-    const info = await client.info;
-    res.json({ 
-      success: true,
-      info: {
-        pushname: info.pushname,
-        wid: info.wid._serialized,
-        platform: info.platform
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, WEBHOOK_LOG_LIMIT);
+  const deliveries = webhookDeliveries
+    .filter(d => d.webhookId === req.params.id && (!req.query.status || d.status === req.query.status))
+    .slice(-limit)
+    .reverse();
+  res.json({ success: true, deliveries });
+});
+
+// Send a test event to a Webhook
+app.post('/webhooks/:id/test', requireScope('admin'), (req, res) => {
+  const webhook = webhooks[req.params.id];
+  if (!webhook) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+
+  const delivery = deliverWebhook(webhook, 'test', {
+    event: 'test',
+    session: null,
+    timestamp: new Date().toISOString(),
+    data: { message: 'Test event from KRP WhatsApp Server' }
+  });
+  res.status(202).json({ success: true, deliveryId: delivery.id });
+});
+
+// List API Keys
+app.get('/api-keys', requireScope('admin'), (req, res) => {
+  res.json({ success: true, keys: Object.values(apiKeys).map(publicApiKey), scopes: API_SCOPES });
+});
+
+// Create API Key (the key itself is only returned in this response)
+app.post('/api-keys', requireScope('admin'), (req, res) => {
+  const { name, scopes } = req.body;
+
+  if (!name || !Array.isArray(scopes) || !scopes.length) {
+    return res.status(400).json({ success: false, error: 'Name and scopes array are required' });
+  }
+  const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+  if (unknown.length) {
+    return res.status(400).json({ success: false, error: `Unknown scopes: ${unknown.join(', ')}` });
+  }
+
+  const { key, record } = createApiKey(name, scopes);
+  res.status(201).json({ success: true, key, apiKey: publicApiKey(record) });
+});
+
+// Revoke API Key
+app.delete('/api-keys/:id', requireScope('admin'), (req, res) => {
+  if (!apiKeys[req.params.id]) {
+    return res.status(404).json({ success: false, error: 'API key not found' });
   }
+  delete apiKeys[req.params.id];
+  saveApiKeys();
+  res.json({ success: true, message: 'API key revoked' });
 });
 
 // ============================================================================
@@ -368,49 +6898,138 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ============================================================================
 
-app.listen(PORT, () => {
-  console.log('');
-  console.log('╔════════════════════════════════════════════════╗');
-  console.log('║   🎓 KRP ACADEMY - WHATSAPP SERVER            ║');
-  console.log('╚════════════════════════════════════════════════╝');
-  console.log('');
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log('📱 Initializing WhatsApp...');
-  console.log('');
-  console.log('⚠️  IMPORTANT: Update GOOGLE_SCRIPT_URL in this file');
-  console.log('    with your deployed Google Apps Script URL');
-  console.log('');
-  console.log('📊 Available endpoints:');
-  console.log(`   GET  /              - Home`);
-  console.log(`   GET  /health        - Health check`);
-  console.log(`   GET  /status        - WhatsApp connection status`);
-  console.log(`   GET  /qr            - Get QR code (JSON)`);
-  console.log(`   GET  /connect       - View QR code in browser`);
-  console.log(`   POST /send          - Send single message`);
-  console.log(`   POST /send-bulk     - Send bulk messages`);
-  console.log(`   GET  /info          - Get client info`);
-  console.log(`   POST /logout        - Disconnect WhatsApp`);
-  console.log('');
-  
-  initializeWhatsApp();
-});
+// "npm start" / "npm run worker" run this file; the tests require it and drive
+// the app themselves
+if (require.main === module) {
+  claimWorkerSocket().then(() => {
+    app.listen(PORT, () => {
+      console.log('');
+      console.log('╔════════════════════════════════════════════════╗');
+      console.log('║   🎓 KRP ACADEMY - WHATSAPP SERVER            ║');
+      console.log('╚════════════════════════════════════════════════╝');
+      console.log('');
+      console.log(`🚀 Server running on http://localhost:${PORT}`);
+      console.log('📱 Initializing WhatsApp...');
+      console.log('');
+      console.log('⚠️  IMPORTANT: Update GOOGLE_SCRIPT_URL in this file');
+      console.log('    with your deployed Google Apps Script URL');
+      console.log('');
+      console.log('📊 Available endpoints:');
+      console.log(`   GET  /dashboard     - Web console (sign in at /dashboard/login)`);
+      console.log(`   GET  /health        - Health check`);
+      console.log(`   GET  /status        - WhatsApp connection status`);
+      console.log(`   GET  /metrics       - Prometheus metrics`);
+      console.log(`   GET  /qr            - Get QR code (JSON)`);
+      console.log(`   GET  /connect       - View QR code in browser`);
+      console.log(`   GET  /events        - Live events stream (SSE)`);
+      console.log(`   POST /send          - Send single message`);
+      console.log(`   POST /send-media    - Send image/PDF/document`);
+      console.log(`   POST /send-poll|location|contact - Poll, map pin or contact card`);
+      console.log(`   GET  /queue         - Outbound queue / dead letters`);
+      console.log(`   GET  /messages/:id  - Delivery / read status`);
+      console.log(`   GET  /media/:id     - Media received from contacts`);
+      console.log(`   POST /queue/:id/retry - Retry a queued message`);
+      console.log(`   POST /send-bulk     - Start bulk campaign`);
+      console.log(`   POST /contacts/check - Validate numbers / WhatsApp registration`);
+      console.log(`   GET  /chats         - Conversations (history)`);
+      console.log(`   GET  /chats/:phone/messages|export - Messages with a contact`);
+      console.log(`   GET  /history       - Latest messages across chats`);
+      console.log(`   GET  /search?q=     - Search message history`);
+      console.log(`   GET  /campaigns     - List campaigns`);
+      console.log(`   GET  /campaigns/:id - Campaign progress`);
+      console.log(`   POST /campaigns/:id/pause|resume|cancel`);
+      console.log(`   GET  /campaigns/:id/export - Campaign results (CSV)`);
+      console.log(`   *    /lists         - Contact lists, CSV import`);
+      console.log(`   *    /segments      - Saved audience filters`);
+      console.log(`   *    /templates     - Message templates (CRUD)`);
+      console.log(`   GET  /polls/:id/results|export - Poll tallies and voters (CSV)`);
+      console.log(`   *    /locations     - Saved locations (branches)`);
+      console.log(`   *    /schedules     - Scheduled / recurring messages`);
+      console.log(`   GET  /info          - Get client info`);
+      console.log(`   *    /groups        - List, create and manage groups`);
+      console.log(`   POST /groups/:id/send - Send text/media to a group`);
+      console.log(`   POST /logout        - Disconnect WhatsApp`);
+      console.log(`   POST /restart       - Restart WhatsApp client`);
+      console.log(`   *    /sessions      - Manage WhatsApp numbers`);
+      console.log(`   *    /sessions/:id/...  - Any route above for a named session`);
+      console.log(`   *    /api-keys      - Manage API keys (admin)`);
+      console.log(`   *    /webhooks      - Event webhooks (admin)`);
+      console.log(`   *    /auto-reply    - Local auto-reply rules and menus`);
+      console.log(`   GET  /inbox         - Pending / failed inbound messages`);
+      console.log(`   *    /opt-outs      - Opt-out (suppression) list and keywords`);
+      console.log(`   POST /cloud-api/webhook - Cloud API messages and statuses`);
+      if (WHATSAPP_TRANSPORT === 'mock') {
+        console.log(`   *    /mock/...     - Mock transport controls (inbound, sent, ack, vote)`);
+      }
+      console.log('');
+      console.log('🔐 All endpoints except /health need an API key');
+      console.log('    (X-API-Key header or Authorization: Bearer <key>)');
+      console.log('');
+
+      createBootstrapKey();
+      resumeWebhookDeliveries();
+      initializeSessions();
+      startWatchdog();
+      startInboxReplay();
+      startScheduler();
+      startInboundMediaSweep();
+      startLoginFailureSweep();
+      listenOnWorkerSocket();
+    });
+  });
+
+  process.on('SIGINT', async () => {
+    console.log('\n🛑 Shutting down gracefully...');
+    await destroySessions();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    console.log('\n🛑 Shutting down gracefully...');
+    await destroySessions();
+    process.exit(0);
+  });
+}
+
+// A worker answering on the socket owns the sessions in DATA_DIR, so a second
+// one must not start; a socket file nobody answers on was left by a worker
+// that died and is removed
+function claimWorkerSocket() {
+  return new Promise((resolve) => {
+    const probe = net.connect(WORKER_SOCKET);
+    probe.on('connect', () => {
+      probe.destroy();
+      console.error(`❌ Another worker is already running on ${WORKER_SOCKET}; stop it before starting this one`);
+      process.exit(1);
+    });
+    probe.on('error', (error) => {
+      if (error.code === 'ECONNREFUSED') fs.rmSync(WORKER_SOCKET, { force: true });
+      resolve();
+    });
+  });
+}
+
+// Same routes on a local socket for api.js; only this process owns WhatsApp
+function listenOnWorkerSocket() {
+  fs.mkdirSync(path.dirname(WORKER_SOCKET), { recursive: true });
+  app.listen(WORKER_SOCKET, () => {
+    fs.chmodSync(WORKER_SOCKET, 0o600);
+    console.log(`🔌 Worker socket for the API: ${WORKER_SOCKET}`);
+  }).on('error', (error) => {
+    console.error('❌ Worker socket unavailable, the API can\'t reach this process:', error.message);
+  });
+}
 
 // Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down gracefully...');
-  if (client) {
-    await client.destroy();
+async function destroySessions() {
+  for (const session of sessions.values()) {
+    if (session.transport) {
+      await session.transport.destroy().catch(err => console.error(`❌ Error closing session ${session.id}:`, err.message));
+    }
   }
-  process.exit(0);
-});
+}
 
-process.on('SIGTERM', async () => {
-  console.log('\n🛑 Shutting down gracefully...');
-  if (client) {
-    await client.destroy();
-  }
-  process.exit(0);
-});
+module.exports = { app, initializeSessions, destroySessions };
 
 
 
@@ -0,0 +1,47 @@
+// ============================================================================
+// KRP ACADEMY - WHATSAPP SERVER TESTS
+// File: test/governor.test.js
+// ============================================================================
+
+// The rate governor with real pacing: sends from different paths that arrive
+// together still go out one gap apart.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startWorker, waitFor } = require('./helpers');
+
+const SEND_GAP_MS = 300;
+
+let worker;
+
+before(async () => {
+  worker = await startWorker({
+    BULK_SEND_DELAY_MS: String(SEND_GAP_MS),
+    SEND_JITTER_MS: '1',
+    // Keeps each send on the wire long enough for the others to arrive
+    MOCK_SEND_LATENCY_MS: '200'
+  });
+});
+
+after(async () => {
+  await worker.stop();
+});
+
+test('concurrent sends are spaced by the minimum gap', async () => {
+  const phones = ['+919800000001', '+919800000002', '+919800000003', '+919800000004'];
+  const results = await Promise.all([
+    ...phones.slice(0, 3).map((phone, i) => worker.api('POST', '/send', { phone, message: `Reminder ${i}` })),
+    worker.api('POST', '/send-bulk', { recipients: [{ phone: phones[3] }], message: 'Campaign reminder' })
+  ]);
+  for (const { body } of results) assert.strictEqual(body.success, true);
+
+  const sent = await waitFor(async () => {
+    const { body } = await worker.api('GET', '/mock/sent');
+    return body.messages.length === phones.length && body.messages;
+  }, 10000);
+
+  const times = sent.map(m => Date.parse(m.sentAt)).sort((a, b) => a - b);
+  for (let i = 1; i < times.length; i++) {
+    assert.ok(times[i] - times[i - 1] >= SEND_GAP_MS, `sends ${i - 1} and ${i} were ${times[i] - times[i - 1]}ms apart`);
+  }
+});
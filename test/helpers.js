@@ -0,0 +1,72 @@
+// ============================================================================
+// KRP ACADEMY - WHATSAPP SERVER TESTS
+// File: test/helpers.js
+// ============================================================================
+
+// Boots server.js on the mock transport with a throwaway DATA_DIR. node --test
+// runs every test file in its own process, so each file gets its own server
+// and can give it its own settings.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const API_KEY = 'test-admin-key';
+
+// Polls until check() returns something truthy
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+// env is added to the server's configuration, which it reads when it is loaded
+async function startWorker(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'krp-whatsapp-test-'));
+  // Removed on exit rather than in stop(): some saves are batched and land a
+  // moment after the last request
+  process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  Object.assign(process.env, {
+    WHATSAPP_TRANSPORT: 'mock',
+    DATA_DIR: dataDir,
+    ADMIN_API_KEY: API_KEY,
+    ...env
+  });
+
+  // The server logs its progress (also later, from its own callbacks), which
+  // the Node 20 test runner can't tell from its own output; errors still show.
+  // Put back by stop().
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  const { app, initializeSessions, destroySessions } = require('../server');
+  initializeSessions();
+
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function api(method, pathname, body) {
+    const response = await fetch(baseUrl + pathname, {
+      method,
+      headers: { 'X-API-Key': API_KEY, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function stop() {
+    await destroySessions();
+    await new Promise(resolve => server.close(resolve));
+    Object.assign(console, { log, warn });
+  }
+
+  await waitFor(async () => (await api('GET', '/status')).body.connected);
+  return { baseUrl, api, stop };
+}
+
+module.exports = { API_KEY, waitFor, startWorker };
@@ -0,0 +1,124 @@
+// ============================================================================
+// KRP ACADEMY - WHATSAPP SERVER TESTS
+// File: test/server.test.js
+// ============================================================================
+
+// The app on the mock transport (see helpers.js) with a local stand-in for
+// the Apps Script processor. Run with "npm test".
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startWorker, waitFor } = require('./helpers');
+
+// Requests the processor stand-in received, and what it answers with
+const processorRequests = [];
+const processor = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    processorRequests.push(JSON.parse(body));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ reply: 'Thanks, we got your message' }));
+  });
+});
+
+let worker;
+let baseUrl;
+const api = (...args) => worker.api(...args);
+
+before(async () => {
+  await new Promise(resolve => processor.listen(0, '127.0.0.1', resolve));
+  worker = await startWorker({
+    // No pacing between sends, so each one goes out while the request waits
+    BULK_SEND_DELAY_MS: '1',
+    SEND_JITTER_MS: '1',
+    PUBLIC_URL: 'https://wa.example.test',
+    GOOGLE_SCRIPT_URL: `http://127.0.0.1:${processor.address().port}/`
+  });
+  baseUrl = worker.baseUrl;
+});
+
+after(async () => {
+  await worker.stop();
+  await new Promise(resolve => processor.close(resolve));
+});
+
+test('GET /status reports the mock session as connected', async () => {
+  const { status, body } = await api('GET', '/status');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.session, 'default');
+  assert.strictEqual(body.connected, true);
+});
+
+test('requests without an API key are refused', async () => {
+  const response = await fetch(`${baseUrl}/status`);
+  assert.strictEqual(response.status, 401);
+});
+
+test('POST /send delivers through the transport', async () => {
+  const { status, body } = await api('POST', '/send', { phone: '+919876543210', message: 'Class starts at 10' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.to, '919876543210@c.us');
+
+  const sent = await api('GET', '/mock/sent');
+  const message = sent.body.messages.find(m => m.id === body.messageId);
+  assert.ok(message, 'message reached the mock transport');
+  assert.strictEqual(message.text, 'Class starts at 10');
+});
+
+test('POST /send rejects a request without a message', async () => {
+  const { status, body } = await api('POST', '/send', { phone: '+919876543210' });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.success, false);
+});
+
+test('inbound messages are forwarded to the processor and its reply is sent', async () => {
+  const { body } = await api('POST', '/mock/inbound', { from: '+919811122233', body: 'What are the fees?' });
+  assert.strictEqual(body.success, true);
+
+  const request = await waitFor(() => processorRequests.find(r => r.message === 'What are the fees?'));
+  assert.strictEqual(request.action, 'processMessage');
+  assert.strictEqual(request.session, 'default');
+  assert.strictEqual(request.from, '919811122233');
+
+  await waitFor(async () => {
+    const sent = await api('GET', '/mock/sent');
+    return sent.body.messages.find(m => m.to === '919811122233@c.us' && m.text === 'Thanks, we got your message');
+  });
+});
+
+test('the processor gets a signed link to fetch inbound media without an API key', async () => {
+  const media = { mimetype: 'image/png', base64: Buffer.from('receipt').toString('base64'), filename: 'receipt.png' };
+  await api('POST', '/mock/inbound', { from: '+919811144455', body: 'Fee receipt', type: 'image', media });
+
+  const request = await waitFor(() => processorRequests.find(r => r.message === 'Fee receipt'));
+  assert.strictEqual(request.type, 'image');
+  assert.ok(request.media.url.startsWith(`https://wa.example.test/media/${request.media.id}?token=`));
+
+  const link = new URL(request.media.url);
+  const response = await fetch(baseUrl + link.pathname + link.search);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(await response.text(), 'receipt');
+
+  const tampered = await fetch(`${baseUrl}${link.pathname}?token=${link.searchParams.get('token').replace(/.$/, c => c === '0' ? '1' : '0')}`);
+  assert.strictEqual(tampered.status, 403);
+  assert.strictEqual((await fetch(baseUrl + link.pathname)).status, 401);
+});
+
+test('delivery acks show up on GET /messages/:id', async () => {
+  const sent = await api('POST', '/send', { phone: '+919876500001', message: 'Your results are out' });
+  assert.strictEqual(sent.status, 200);
+
+  const ack = await api('POST', '/mock/ack', { id: sent.body.messageId, ack: 3 });
+  assert.strictEqual(ack.body.success, true);
+
+  const { status, body } = await waitFor(async () => {
+    const result = await api('GET', `/messages/${sent.body.id}`);
+    return result.body.message.status === 'read' && result;
+  });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.message.id, sent.body.messageId);
+  assert.strictEqual(body.message.to, '919876500001@c.us');
+});